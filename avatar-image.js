@@ -0,0 +1,94 @@
+/**
+ * Avatar Image - Makes sure avatar bytes are a PNG that metadata can be embedded in
+ * Separated concern: Image format detection and conversion
+ *
+ * ST accepts WebP/JPEG/GIF persona avatars (and old character folders can hold
+ * them too), but card metadata only lives in PNG chunks. Anything that isn't a
+ * PNG - or is larger than the configured max dimension - is redrawn on a canvas.
+ */
+
+const MODULE_NAME = 'RoleOut-Image';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * Identify an image from its magic bytes
+ * @param {Uint8Array} bytes - Image file data
+ * @returns {string} 'png', 'jpeg', 'gif', 'webp', 'bmp', 'avif' or 'unknown'
+ */
+export function detectImageFormat(bytes) {
+    const startsWith = (signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+    const ascii = (text) => Array.from(text, c => c.charCodeAt(0));
+
+    if (startsWith(PNG_SIGNATURE)) return 'png';
+    if (startsWith([0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWith(ascii('GIF8'))) return 'gif';
+    if (startsWith(ascii('RIFF')) && startsWith(ascii('WEBP'), 8)) return 'webp';
+    if (startsWith(ascii('BM'))) return 'bmp';
+    if (startsWith(ascii('ftyp'), 4) && (startsWith(ascii('avif'), 8) || startsWith(ascii('avis'), 8))) return 'avif';
+    return 'unknown';
+}
+
+/**
+ * Read width/height from a PNG's IHDR without decoding it
+ * @param {Uint8Array} bytes - PNG file data
+ * @returns {{width: number, height: number}}
+ */
+function readPNGSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+        width: view.getUint32(16, false),
+        height: view.getUint32(20, false)
+    };
+}
+
+/**
+ * Return avatar bytes as a PNG, converting and optionally downscaling on a canvas
+ * PNGs within the size limit are returned untouched so their existing chunks survive
+ * @param {Uint8Array} bytes - Avatar file data (any format the browser can decode)
+ * @param {Object} [options]
+ * @param {number} [options.maxDimension=0] - Longest side in pixels; 0 keeps the original size
+ * @returns {Promise<Uint8Array>} PNG bytes
+ */
+export async function ensurePNG(bytes, options = {}) {
+    const maxDimension = options.maxDimension || 0;
+    const format = detectImageFormat(bytes);
+
+    if (format === 'png') {
+        const { width, height } = readPNGSize(bytes);
+        if (!maxDimension || Math.max(width, height) <= maxDimension) {
+            return bytes;
+        }
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(new Blob([bytes]));
+    } catch (error) {
+        throw new Error(`Unsupported avatar image format (${format})`);
+    }
+
+    try {
+        const scale = maxDimension ? Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height)) : 1;
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        // Animated GIF/WebP: only the first frame survives, which is what ST shows as the card image anyway
+        context.drawImage(bitmap, 0, 0, width, height);
+
+        const pngBlob = await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas PNG encoding failed')), 'image/png');
+        });
+
+        console.log(`[${MODULE_NAME}] Converted ${format} ${bitmap.width}x${bitmap.height} avatar to PNG ${width}x${height}`);
+        return new Uint8Array(await pngBlob.arrayBuffer());
+    } finally {
+        bitmap.close();
+    }
+}
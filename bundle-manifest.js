@@ -0,0 +1,275 @@
+/**
+ * Bundle Manifest - Describes the contents of every ZIP RoleOut writes
+ * Separated concern: Archive metadata
+ *
+ * Entries are registered as files are added, and their size and SHA-256 are
+ * computed then from the exact data handed to the ZIP, so they always match
+ * what actually ships without reading the ZIP back.
+ */
+
+export const ROLEOUT_VERSION = '1.0.0'; // Keep in sync with manifest.json
+export const MANIFEST_VERSION = 1;
+export const MANIFEST_FILENAME = 'manifest.json';
+
+// Folder name -> entry type, for files added without an explicit description
+const FOLDER_TYPES = {
+    character: 'character',
+    characters: 'character',
+    chat: 'chat',
+    chats: 'chat',
+    persona: 'persona',
+    personas: 'persona',
+    preset: 'preset',
+    presets: 'preset',
+    lorebooks: 'lorebook',
+    group: 'group',
+    groups: 'group'
+};
+
+/**
+ * Create an empty manifest
+ * @param {string} kind - What the archive is (e.g. 'characters', 'chat-bundle', 'library')
+ * @returns {{kind: string, entries: Map<string, Object>, relations: Array<Object>}}
+ */
+export function createManifest(kind) {
+    return {
+        kind,
+        entries: new Map(),
+        relations: []
+    };
+}
+
+/**
+ * Describe a file in the manifest
+ * @param {Object} manifest - Manifest from createManifest()
+ * @param {string} path - Full path inside the ZIP
+ * @param {{type: string, id?: string|number, name?: string}} description - Entry type, original ST identifier and display name
+ * @param {string|Blob|Uint8Array} [data] - File contents as added to the ZIP; hashed right away, and kept by
+ *   reference (the ZIP holds the same object) so volumes can be built without reading the ZIP back
+ */
+export function addManifestEntry(manifest, path, description, data = undefined) {
+    manifest.entries.set(path, {
+        type: description.type,
+        id: description.id ?? null,
+        name: description.name ?? null,
+        data,
+        // A failed digest falls back to reading the file from the ZIP when the manifest is written
+        digest: data === undefined ? null : digestData(data).catch(() => null)
+    });
+}
+
+/**
+ * @param {string|Blob|ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Promise<Uint8Array>} The bytes JSZip writes for them (strings as UTF-8)
+ */
+async function toBytes(data) {
+    if (typeof data === 'string') {
+        return new TextEncoder().encode(data);
+    }
+    if (data instanceof Uint8Array) {
+        return data;
+    }
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * @param {string|Blob|ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Promise<{size: number, sha256: string}>}
+ */
+async function digestData(data) {
+    const bytes = await toBytes(data);
+    return { size: bytes.length, sha256: await sha256Hex(bytes) };
+}
+
+/**
+ * Record how two entries relate (e.g. chat -> character)
+ * @param {Object} manifest - Manifest from createManifest()
+ * @param {string} from - Path of the dependent entry
+ * @param {string} to - Path of the entry it depends on
+ * @param {string} relation - Relation name ('character', 'persona', 'preset', 'lorebook', 'member', 'parent', ...)
+ * @param {Object} [details] - Extra fields for the relation (e.g. a branch's branchKind and branchPoint)
+ */
+export function addManifestRelation(manifest, from, to, relation, details = {}) {
+    manifest.relations.push({ from, to, relation, ...details });
+}
+
+/**
+ * Guess an entry type from its folder or extension
+ * @param {string} path - Full path inside the ZIP
+ * @returns {string}
+ */
+function inferEntryType(path) {
+    const segments = path.split('/');
+    for (const segment of segments.slice(0, -1).reverse()) {
+        if (FOLDER_TYPES[segment]) {
+            return FOLDER_TYPES[segment];
+        }
+    }
+
+    if (/\.jsonl$/i.test(path)) return 'chat';
+    return 'file';
+}
+
+/**
+ * Build the manifest.json contents from what is in the ZIP
+ * @param {JSZip} zip - Root ZIP
+ * @param {Object} manifest - Manifest from createManifest()
+ * @returns {Promise<Object>} Manifest JSON
+ */
+async function buildManifestJson(zip, manifest) {
+    const files = [];
+    zip.forEach((relativePath, file) => {
+        if (!file.dir && relativePath !== MANIFEST_FILENAME) {
+            files.push(file);
+        }
+    });
+
+    const entries = [];
+    for (const file of files) {
+        const described = manifest.entries.get(file.name);
+        // Files added without their data (or whose digest failed) are read back from the ZIP
+        const digest = (await described?.digest) || await digestData(await file.async('uint8array'));
+
+        entries.push({
+            path: file.name,
+            type: described?.type || inferEntryType(file.name),
+            id: described?.id ?? null,
+            name: described?.name ?? file.name.split('/').pop(),
+            size: digest.size,
+            sha256: digest.sha256
+        });
+    }
+
+    // Drop relations to files that never made it into the archive (failed optional steps)
+    const paths = new Set(entries.map(entry => entry.path));
+    const relations = manifest.relations.filter(r => paths.has(r.from) && paths.has(r.to));
+
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        generator: {
+            name: 'RoleOut',
+            version: ROLEOUT_VERSION
+        },
+        source: 'SillyTavern',
+        kind: manifest.kind,
+        createdAt: new Date().toISOString(),
+        entries,
+        relations
+    };
+}
+
+/**
+ * Write manifest.json into the ZIP root
+ * @param {JSZip} zip - Root ZIP
+ * @param {Object} manifest - Manifest from createManifest()
+ * @returns {Promise<Object>} The manifest JSON that was written
+ */
+export async function writeManifest(zip, manifest) {
+    const manifestJson = await buildManifestJson(zip, manifest);
+    zip.file(MANIFEST_FILENAME, JSON.stringify(manifestJson, null, 2));
+    return manifestJson;
+}
+
+/**
+ * SHA-256 of a byte array as lowercase hex
+ * crypto.subtle only exists in secure contexts; ST is often served over plain HTTP on a LAN
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(bytes) {
+    if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return toHex(new Uint8Array(digest));
+    }
+
+    return toHex(sha256Fallback(bytes));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Plain JS SHA-256 (FIPS 180-4), used only when crypto.subtle is unavailable
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {Uint8Array} 32-byte digest
+ */
+function sha256Fallback(bytes) {
+    const h = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+
+    // Padding: 0x80, zeros, then 64-bit big-endian bit length
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000), false);
+    view.setUint32(paddedLength - 4, (bytes.length << 3) >>> 0, false);
+
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4, false);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const temp1 = (hh + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+            const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (S0 + maj) >>> 0;
+
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + temp1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) >>> 0;
+        }
+
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
+        h[5] = (h[5] + f) >>> 0;
+        h[6] = (h[6] + g) >>> 0;
+        h[7] = (h[7] + hh) >>> 0;
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    h.forEach((value, i) => digestView.setUint32(i * 4, value, false));
+    return digest;
+}
@@ -0,0 +1,126 @@
+/**
+ * Character Card - Builds character card data from SillyTavern characters
+ * Separated concern: Card format conversion
+ */
+
+/**
+ * Build a Character Card V2 object from an ST character
+ * @param {Object} character - Full ST character object (not shallow)
+ * @param {Object} options - Card options
+ * @param {boolean} [options.includeGreetings=true] - Keep alternate greetings
+ * @param {boolean} [options.includeLorebook=true] - Keep the embedded character_book
+ * @returns {Object} V2 card ({spec: 'chara_card_v2', data: {...}} plus V1 top-level fields)
+ */
+export function buildCharacterCard(character, options = {}) {
+    const includeGreetings = options.includeGreetings !== false;
+    const includeLorebook = options.includeLorebook !== false;
+
+    // Clone so toggles never modify ST's in-memory character
+    const data = structuredClone(character.data || {});
+
+    // V1 characters have no data block; fill it from the top-level fields
+    data.name = data.name ?? character.name ?? '';
+    data.description = data.description ?? character.description ?? '';
+    data.personality = data.personality ?? character.personality ?? '';
+    data.scenario = data.scenario ?? character.scenario ?? '';
+    data.first_mes = data.first_mes ?? character.first_mes ?? '';
+    data.mes_example = data.mes_example ?? character.mes_example ?? '';
+    data.creator_notes = data.creator_notes ?? character.creatorcomment ?? '';
+    data.tags = data.tags ?? character.tags ?? [];
+    data.extensions = data.extensions ?? {};
+
+    data.alternate_greetings = includeGreetings && Array.isArray(data.alternate_greetings)
+        ? data.alternate_greetings
+        : [];
+
+    if (!includeLorebook) {
+        delete data.character_book;
+    }
+
+    // Only card fields are copied; ST bookkeeping (chat, json_data, shallow, ...) stays behind
+    return {
+        // V1 fields mirrored at top level, same as ST's own exports
+        name: data.name,
+        description: data.description,
+        personality: data.personality,
+        scenario: data.scenario,
+        first_mes: data.first_mes,
+        mes_example: data.mes_example,
+        creatorcomment: data.creator_notes,
+        avatar: 'none',
+        talkativeness: character.talkativeness ?? data.extensions.talkativeness ?? '0.5',
+        fav: character.fav ?? data.extensions.fav ?? false,
+        tags: data.tags,
+        spec: 'chara_card_v2',
+        spec_version: '2.0',
+        data,
+        create_date: character.create_date
+    };
+}
+
+/**
+ * Convert a V2 card (from buildCharacterCard) to Character Card V3
+ * @param {Object} v2Card - V2 card
+ * @param {Object} options - Card options
+ * @param {boolean} [options.includeGreetings=true] - Keep group-only greetings
+ * @returns {Object} V3 card ({spec: 'chara_card_v3', data: {...}})
+ */
+export function convertCardToV3(v2Card, options = {}) {
+    const includeGreetings = options.includeGreetings !== false;
+    const data = structuredClone(v2Card.data);
+
+    // V3 additions; ST keeps any it already knows about on the data block
+    data.nickname = data.nickname ?? '';
+    data.creator_notes_multilingual = data.creator_notes_multilingual ?? {};
+    data.group_only_greetings = includeGreetings && Array.isArray(data.group_only_greetings)
+        ? data.group_only_greetings
+        : [];
+    data.source = data.source ?? [];
+    data.assets = Array.isArray(data.assets) && data.assets.length > 0
+        ? data.assets
+        : [{ type: 'icon', uri: 'ccdefault:', name: 'main', ext: 'png' }];
+
+    // V3 dates are unix seconds
+    const createdAt = Date.parse(v2Card.create_date);
+    if (!Number.isNaN(createdAt)) {
+        data.creation_date = data.creation_date ?? Math.floor(createdAt / 1000);
+    }
+    data.modification_date = Math.floor(Date.now() / 1000);
+
+    // V3 lorebook entries must say whether keys are regexes
+    if (data.character_book?.entries) {
+        data.character_book.entries = data.character_book.entries.map(entry => ({
+            ...entry,
+            use_regex: entry.use_regex ?? false
+        }));
+    }
+
+    return {
+        spec: 'chara_card_v3',
+        spec_version: '3.0',
+        data
+    };
+}
+
+/**
+ * Build a V2 card for a persona so other frontends can load it like a character
+ * @param {Object} persona - Persona from getPersonaList()
+ * @returns {Object} V2 card
+ */
+export function buildPersonaCard(persona) {
+    return buildCharacterCard({
+        name: persona.name,
+        description: persona.description || '',
+        data: {
+            name: persona.name,
+            description: persona.description || '',
+            creator_notes: persona.title || '',
+            extensions: {
+                roleout_persona: {
+                    title: persona.title || '',
+                    isDefault: persona.isDefault
+                }
+            }
+        }
+    });
+}
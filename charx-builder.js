@@ -0,0 +1,211 @@
+/**
+ * CHARX Builder - Packs a character into a CHARX archive
+ * Separated concern: CHARX format (card.json V3 + assets/)
+ *
+ * Asset paths follow the CHARX layout (assets/<type>/images/<name>.<ext>)
+ * and are referenced from the card as embeded:// URIs.
+ */
+
+import { getRequestHeaders } from '../../../../script.js';
+import { fetchWithRetry, fetchAvatarAsPNG } from './export-manager.js';
+import { removeMetadataFromPNG } from './png-metadata.js';
+
+const MODULE_NAME = 'RoleOut-CHARX';
+const EMBEDDED_URI_PREFIX = 'embeded://'; // Spelling is part of the CHARX spec
+
+// Card text fields that may reference images
+const TEXT_FIELDS = ['description', 'personality', 'scenario', 'first_mes', 'mes_example', 'creator_notes'];
+const TEXT_LIST_FIELDS = ['alternate_greetings', 'group_only_greetings'];
+
+/**
+ * Fill a JSZip instance with a CHARX archive for one character
+ * Sprites and embedded images are best effort - a missing one is logged and skipped
+ * @param {JSZip} zip - Empty JSZip instance to write into
+ * @param {Object} card - V3 card (from convertCardToV3); its assets and image references are rewritten
+ * @param {string} avatar - Character avatar filename
+ * @param {AbortSignal} [signal] - Cancels the asset fetches
+ * @returns {Promise<{assets: number}>} Number of assets packed
+ */
+export async function buildCharxArchive(zip, card, avatar, signal) {
+    const assets = [];
+    const usedPaths = new Set();
+
+    /**
+     * Add one asset file and its card entry
+     * @param {string} type - CHARX asset type (icon, emotion, other)
+     * @param {string} name - Asset name
+     * @param {string} ext - File extension
+     * @param {Blob} blob - File contents
+     * @returns {string} embeded:// URI
+     */
+    const addAsset = (type, name, ext, blob) => {
+        const safeName = String(name).replace(/[^a-zA-Z0-9_.\- ]/g, '_') || 'asset';
+        let path = `assets/${type}/images/${safeName}.${ext}`;
+        for (let n = 2; usedPaths.has(path); n++) {
+            path = `assets/${type}/images/${safeName}_${n}.${ext}`;
+        }
+        usedPaths.add(path);
+
+        zip.file(path, blob);
+        const uri = `${EMBEDDED_URI_PREFIX}${path}`;
+        assets.push({ type, uri, name, ext });
+        return uri;
+    };
+
+    // 1. Avatar becomes the main icon, without the card chunks ST keeps in it (card.json is the card in a CHARX)
+    const avatarPng = await fetchAvatarAsPNG(`/characters/${encodeURIComponent(avatar)}`, signal);
+    const iconPng = removeMetadataFromPNG(removeMetadataFromPNG(avatarPng, 'chara'), 'ccv3');
+    addAsset('icon', 'main', 'png', new Blob([iconPng], { type: 'image/png' }));
+
+    // 2. Expression sprites live in a folder named after the avatar
+    const spriteFolder = avatar.replace(/\.[^.]+$/, '');
+    for (const sprite of await fetchSpriteList(spriteFolder, signal)) {
+        try {
+            const spriteResponse = await fetchWithRetry(sprite.path, { signal });
+            if (!spriteResponse.ok) {
+                throw new Error(`HTTP ${spriteResponse.status}`);
+            }
+            addAsset('emotion', sprite.label, getExtension(sprite.path), await spriteResponse.blob());
+        } catch (error) {
+            console.warn(`[${MODULE_NAME}] Skipping sprite ${sprite.label}:`, error);
+        }
+    }
+
+    // 3. Images referenced from the card text that this ST instance serves
+    const rewrites = new Map();
+    for (const url of collectImageUrls(card.data)) {
+        try {
+            const imageResponse = await fetchWithRetry(url, { signal });
+            if (!imageResponse.ok) {
+                throw new Error(`HTTP ${imageResponse.status}`);
+            }
+            const name = decodeURIComponent(url.split('?')[0].split('/').pop()).replace(/\.[^.]+$/, '');
+            rewrites.set(url, addAsset('other', name, getExtension(url), await imageResponse.blob()));
+        } catch (error) {
+            console.warn(`[${MODULE_NAME}] Skipping embedded image ${url}:`, error);
+        }
+    }
+    rewriteImageUrls(card.data, rewrites);
+
+    // Skipped assets are fine, a cancelled export is not
+    signal?.throwIfAborted();
+
+    // Keep the card's own assets; only the default icon and entries for images now in the archive are replaced
+    const replacedUris = new Set(['ccdefault:', ...rewrites.keys(), ...assets.map(asset => asset.uri)]);
+    const keptAssets = (card.data.assets || []).filter(asset => !replacedUris.has(asset?.uri));
+    card.data.assets = [...keptAssets, ...assets];
+    zip.file('card.json', JSON.stringify(card, null, 4));
+
+    console.log(`[${MODULE_NAME}] Packed ${assets.length} assets for ${card.data.name}`);
+    return { assets: assets.length };
+}
+
+/**
+ * List a character's expression sprites
+ * @param {string} folder - Sprite folder name
+ * @param {AbortSignal} [signal] - Cancels the fetch
+ * @returns {Promise<Array<{label: string, path: string}>>}
+ */
+async function fetchSpriteList(folder, signal) {
+    try {
+        const response = await fetchWithRetry(`/api/sprites/get?name=${encodeURIComponent(folder)}`, {
+            headers: getRequestHeaders(),
+            signal
+        });
+        if (!response.ok) {
+            return [];
+        }
+
+        const sprites = await response.json();
+        return Array.isArray(sprites) ? sprites.filter(sprite => sprite?.label && sprite?.path) : [];
+    } catch (error) {
+        console.warn(`[${MODULE_NAME}] Could not list sprites for ${folder}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Find local image URLs (markdown or <img>) in the card text
+ * Remote URLs are left alone - they still resolve wherever the card goes
+ * @param {Object} data - Card data block
+ * @returns {string[]} Unique same-origin URLs
+ */
+function collectImageUrls(data) {
+    const pattern = /!\[[^\]]*\]\(\s*([^)\s]+)[^)]*\)|<img[^>]+src=["']([^"']+)["']/gi;
+    const urls = new Set();
+
+    for (const text of getTextValues(data)) {
+        for (const match of text.matchAll(pattern)) {
+            const url = match[1] || match[2];
+            if (isLocalUrl(url)) {
+                urls.add(url);
+            }
+        }
+    }
+
+    return [...urls];
+}
+
+/**
+ * Replace image URLs in the card text with their embeded:// URIs
+ * @param {Object} data - Card data block (modified in place)
+ * @param {Map<string, string>} rewrites - Original URL -> embeded:// URI
+ */
+function rewriteImageUrls(data, rewrites) {
+    if (rewrites.size === 0) {
+        return;
+    }
+
+    const rewrite = text => {
+        let result = text;
+        for (const [url, uri] of rewrites) {
+            result = result.split(url).join(uri);
+        }
+        return result;
+    };
+
+    for (const field of TEXT_FIELDS) {
+        if (typeof data[field] === 'string') {
+            data[field] = rewrite(data[field]);
+        }
+    }
+    for (const field of TEXT_LIST_FIELDS) {
+        if (Array.isArray(data[field])) {
+            data[field] = data[field].map(text => typeof text === 'string' ? rewrite(text) : text);
+        }
+    }
+}
+
+/**
+ * @param {Object} data - Card data block
+ * @returns {string[]} Every text value that may contain image references
+ */
+function getTextValues(data) {
+    const values = TEXT_FIELDS.map(field => data[field]);
+    for (const field of TEXT_LIST_FIELDS) {
+        if (Array.isArray(data[field])) {
+            values.push(...data[field]);
+        }
+    }
+    return values.filter(value => typeof value === 'string');
+}
+
+/**
+ * @param {string} url - URL from card text
+ * @returns {boolean} True for paths served by this ST instance
+ */
+function isLocalUrl(url) {
+    if (!url || url.startsWith('//') || url.startsWith(EMBEDDED_URI_PREFIX)) {
+        return false;
+    }
+    return url.startsWith('/') || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+/**
+ * @param {string} path - File path or URL
+ * @returns {string} Lowercase extension without the dot (png if none)
+ */
+function getExtension(path) {
+    const match = path.split('?')[0].match(/\.([a-zA-Z0-9]+)$/);
+    return match ? match[1].toLowerCase() : 'png';
+}
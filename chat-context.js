@@ -0,0 +1,136 @@
+/**
+ * Chat Context - Works out what a chat was actually played with
+ * Separated concern: Chat dependency detection (persona, lorebooks)
+ */
+
+import { user_avatar } from '../../../../script.js';
+import { world_info, world_names, selected_world_info } from '../../../world-info.js';
+import { power_user } from '../../../power-user.js';
+import { getCharacterList, getCharacterData, getGroupData } from './data-providers.js';
+
+const MODULE_NAME = 'RoleOut-ChatContext';
+
+/**
+ * Parse a chat JSONL file into its header and messages
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @returns {{header: Object|null, messages: Array<Object>}}
+ */
+export function parseChat(chatJsonl) {
+    const parsed = chatJsonl.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        });
+
+    // ST writes a header line (user_name, character_name, chat_metadata) before the messages
+    const header = parsed[0] && parsed[0].chat_metadata !== undefined ? parsed[0] : null;
+    const messages = parsed.slice(header ? 1 : 0).filter(Boolean);
+
+    return { header, messages };
+}
+
+/**
+ * Work out which persona a chat was played with
+ * Order: persona locked to the chat, then the last persona avatar recorded on a user message, then the active persona
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @returns {string|null} Persona avatar filename
+ */
+export function resolveChatPersona(chatJsonl) {
+    const knownPersonas = power_user?.personas || {};
+    const { header, messages } = parseChat(chatJsonl);
+
+    const lockedPersona = header?.chat_metadata?.persona;
+    if (lockedPersona && knownPersonas[lockedPersona] !== undefined) {
+        return lockedPersona;
+    }
+
+    // force_avatar is "User Avatars/<file>" or a thumbnail URL with file=<file>
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const message = messages[i];
+        if (!message.is_user || typeof message.force_avatar !== 'string') {
+            continue;
+        }
+
+        const fileParam = message.force_avatar.match(/[?&]file=([^&]+)/);
+        const avatar = fileParam
+            ? decodeURIComponent(fileParam[1])
+            : message.force_avatar.split('/').pop();
+
+        if (knownPersonas[avatar] !== undefined) {
+            return avatar;
+        }
+    }
+
+    return user_avatar || null;
+}
+
+/**
+ * Find the lorebooks a chat actually used, each labeled with why it was picked
+ * Sources, in priority order: embedded character book, character's linked world, character's extra books,
+ * persona lorebook, lorebook bound to the chat, globally active worlds
+ * @param {Object} chat - Chat object from getChatList()
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @param {string|null} personaAvatar - Persona used for the chat (see resolveChatPersona)
+ * @returns {Promise<Array<{name: string, reasons: string[]}>>} Detected lorebooks that exist in ST, highest priority first
+ */
+export async function detectChatLorebooks(chat, chatJsonl, personaAvatar) {
+    const detected = new Map();
+    const add = (name, reason) => {
+        if (!name || !Array.isArray(world_names) || !world_names.includes(name)) {
+            return;
+        }
+        if (!detected.has(name)) {
+            detected.set(name, []);
+        }
+        if (!detected.get(name).includes(reason)) {
+            detected.get(name).push(reason);
+        }
+    };
+
+    // Characters in the chat: the one character, or every group member
+    let chatCharacters;
+    let groupMetadata = null;
+    if (chat.group) {
+        const groupData = getGroupData(chat.group);
+        chatCharacters = groupData?.members || [];
+        groupMetadata = groupData?.group?.chat_metadata || null;
+    } else {
+        chatCharacters = getCharacterList().filter(character => character.avatar === chat.avatar);
+    }
+
+    for (const member of chatCharacters) {
+        try {
+            const character = await getCharacterData(member.id);
+            add(character?.data?.character_book?.name, `Embedded in ${member.name}'s card`);
+            add(character?.data?.extensions?.world, `Linked to ${member.name}`);
+
+            // ST keys extra books by the avatar filename without extension
+            const charaFilename = member.avatar.replace(/\.[^.]+$/, '');
+            const charLore = (world_info?.charLore || []).find(entry => entry.name === charaFilename);
+            for (const extraBook of charLore?.extraBooks || []) {
+                add(extraBook, `Extra book for ${member.name}`);
+            }
+        } catch (error) {
+            console.warn(`[${MODULE_NAME}] Could not read lorebooks for ${member.name}:`, error);
+        }
+    }
+
+    if (personaAvatar) {
+        const personaName = power_user?.personas?.[personaAvatar] || personaAvatar;
+        add(power_user?.persona_descriptions?.[personaAvatar]?.lorebook, `Persona ${personaName}`);
+    }
+
+    const { header } = parseChat(chatJsonl);
+    const chatMetadata = header?.chat_metadata || groupMetadata;
+    add(chatMetadata?.world_info, 'Bound to this chat');
+
+    for (const name of selected_world_info || []) {
+        add(name, 'Globally active');
+    }
+
+    return [...detected].map(([name, reasons]) => ({ name, reasons }));
+}
@@ -0,0 +1,664 @@
+/**
+ * Chat Converter - Turns SillyTavern chat JSONL into other transcript formats
+ * Separated concern: Chat format conversion
+ *
+ * Everything is converted client-side from the JSONL that ST's chat export
+ * returns, so single, batch and bundle exports all support every format.
+ * Message ranges, redaction and swipe policies are applied to the JSONL
+ * first, so they hold for every format.
+ */
+
+import { parseChat } from './chat-context.js';
+import { fetchWithRetry } from './export-manager.js';
+
+const MODULE_NAME = 'RoleOut-ChatConverter';
+
+// Output format -> file extension and MIME type
+export const CHAT_FORMATS = {
+    jsonl: { extension: 'jsonl', mimeType: 'application/jsonl' },
+    rolecall: { extension: 'json', mimeType: 'application/json' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    html: { extension: 'html', mimeType: 'text/html' },
+    text: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Swipe policies: keep every swipe, only the chosen one, or the chosen one with the alternates in a sidecar file
+export const SWIPE_POLICIES = ['all', 'selected', 'sidecar'];
+
+// Per-swipe generation details ST keeps in swipe_info (and on the message for the chosen swipe)
+const GENERATION_FIELDS = ['send_date', 'gen_started', 'gen_finished', 'extra'];
+
+// Message ranges: whole chat, messages #N-#M, from a date on, from a checkpoint on, first message plus the last N
+export const RANGE_MODES = ['all', 'messages', 'date', 'bookmark', 'tail'];
+
+// Redaction: what user and persona names become, and the message extra fields each profile part drops
+const USER_PLACEHOLDER = '{{user}}';
+const REASONING_EXTRA_FIELDS = ['reasoning', 'reasoning_duration', 'reasoning_signature', 'reasoning_type'];
+const GENERATION_EXTRA_FIELDS = ['api', 'model', 'token_count', 'gen_id', 'bias', 'time_to_first_token'];
+const IMAGE_EXTRA_FIELDS = ['image', 'inline_image', 'image_swipes', 'title', 'append_title', 'file', 'files', 'media', 'media_display', 'media_index'];
+
+/**
+ * Write a parsed chat back to JSONL
+ * @param {Object|null} header - Chat header line
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string}
+ */
+export function serializeChat(header, messages) {
+    return [header, ...messages].filter(Boolean).map(line => JSON.stringify(line)).join('\n');
+}
+
+/**
+ * @param {Object} message - ST chat message
+ * @returns {boolean} True if the message has alternate swipes
+ */
+function hasAlternates(message) {
+    return Array.isArray(message.swipes) && message.swipes.length > 1;
+}
+
+/**
+ * Apply a swipe policy to a chat
+ * 'selected' and 'sidecar' reduce every message to its chosen swipe: swipes, swipe_id and swipe_info are
+ * dropped, and mes plus the generation details (send_date, gen_started, gen_finished, extra) come from
+ * the chosen swipe. 'sidecar' also returns the alternates, each with its own generation details.
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @param {string} policy - One of SWIPE_POLICIES
+ * @returns {{chatJsonl: string, sidecar: Object|null}}
+ */
+export function applySwipePolicy(chatJsonl, policy) {
+    if (!policy || policy === 'all') {
+        return { chatJsonl, sidecar: null };
+    }
+    if (!SWIPE_POLICIES.includes(policy)) {
+        throw new Error(`Unknown swipe policy: ${policy}`);
+    }
+
+    const { header, messages } = parseChat(chatJsonl);
+    const alternates = [];
+
+    const reduced = messages.map((message, index) => {
+        if (!Array.isArray(message.swipes)) {
+            return message;
+        }
+
+        const { swipes, swipe_id: swipeId, swipe_info: swipeInfo, ...rest } = message;
+        const selected = Number.isInteger(swipeId) && swipeId < swipes.length ? swipeId : 0;
+        const info = Array.isArray(swipeInfo) ? swipeInfo : [];
+
+        if (hasAlternates(message)) {
+            alternates.push({
+                index,
+                name: message.name,
+                selected,
+                swipes: swipes
+                    .map((mes, swipe) => ({ swipe, mes, ...pickGenerationFields(info[swipe]) }))
+                    .filter(entry => entry.swipe !== selected)
+            });
+        }
+
+        // The message already mirrors its chosen swipe; fill in anything only swipe_info recorded
+        const reducedMessage = { ...rest, mes: swipes[selected] ?? message.mes };
+        for (const [field, value] of Object.entries(pickGenerationFields(info[selected]))) {
+            reducedMessage[field] ??= value;
+        }
+        return reducedMessage;
+    });
+
+    const sidecar = policy === 'sidecar' && alternates.length > 0
+        ? { chat: header?.character_name ?? null, swipePolicy: policy, messages: alternates }
+        : null;
+
+    console.log(`[${MODULE_NAME}] Swipe policy '${policy}': ${alternates.length} messages had alternates`);
+    return { chatJsonl: serializeChat(header, reduced), sidecar };
+}
+
+/**
+ * @param {Object|undefined} info - swipe_info entry
+ * @returns {Object} Its generation fields that are set
+ */
+function pickGenerationFields(info) {
+    const fields = {};
+    for (const field of GENERATION_FIELDS) {
+        if (info?.[field] !== undefined) {
+            fields[field] = info[field];
+        }
+    }
+    return fields;
+}
+
+/**
+ * Pick the messages a range covers
+ * Message numbers are ST's (#0 is the first message). Date and bookmark ranges run to the end of the chat.
+ * @param {Array<Object>} messages - Chat messages
+ * @param {{mode: string, from?: number, to?: number, after?: string, bookmark?: number, count?: number}|null} range - Range options
+ * @returns {number[]} Indices of the selected messages, in order
+ */
+function selectMessageRange(messages, range) {
+    const last = messages.length - 1;
+    const span = (start, end) => Array.from({ length: Math.max(0, end - start + 1) }, (_, i) => start + i);
+
+    switch (range?.mode || 'all') {
+        case 'all':
+            return span(0, last);
+        case 'messages': {
+            const from = Math.max(0, Number.isFinite(range.from) ? range.from : 0);
+            const to = Math.min(last, Number.isFinite(range.to) ? range.to : last);
+            return span(from, to);
+        }
+        case 'date': {
+            const after = new Date(range.after);
+            if (isNaN(after)) {
+                throw new Error('Choose a date to export from');
+            }
+            // Start at the first message sent at or after the date; undated messages after it stay in
+            const start = messages.findIndex(message => {
+                const sent = toISODate(message.send_date);
+                return sent && new Date(sent) >= after;
+            });
+            return start === -1 ? [] : span(start, last);
+        }
+        case 'bookmark':
+            if (!Number.isInteger(range.bookmark) || !messages[range.bookmark]) {
+                throw new Error('Choose a checkpoint to export from');
+            }
+            return span(range.bookmark, last);
+        case 'tail': {
+            const count = Math.max(1, Number.isFinite(range.count) ? range.count : 1);
+            const tail = span(Math.max(1, last - count + 1), last);
+            return messages.length > 0 ? [0, ...tail] : [];
+        }
+        default:
+            throw new Error(`Unknown message range: ${range.mode}`);
+    }
+}
+
+/**
+ * Keep only the messages in a range (the chat header is always kept)
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @param {Object|null} range - See selectMessageRange()
+ * @returns {string} Chat JSONL with the selected messages
+ */
+export function applyMessageRange(chatJsonl, range) {
+    if (!range || range.mode === 'all') {
+        return chatJsonl;
+    }
+
+    const { header, messages } = parseChat(chatJsonl);
+    const selected = selectMessageRange(messages, range);
+    if (selected.length === 0) {
+        throw new Error('The selected range contains no messages');
+    }
+
+    console.log(`[${MODULE_NAME}] Range '${range.mode}': ${selected.length}/${messages.length} messages`);
+    return serializeChat(header, selected.map(index => messages[index]));
+}
+
+/**
+ * Summarize what a range covers, for the preview before exporting
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @param {Object|null} range - See selectMessageRange()
+ * @returns {{total: number, count: number, first: number|null, last: number|null, firstDate: string|null, lastDate: string|null, error?: string}}
+ */
+export function describeMessageRange(chatJsonl, range) {
+    const { messages } = parseChat(chatJsonl);
+
+    let selected;
+    try {
+        selected = selectMessageRange(messages, range);
+    } catch (error) {
+        return { total: messages.length, count: 0, first: null, last: null, firstDate: null, lastDate: null, error: error.message };
+    }
+
+    const first = selected.length > 0 ? selected[0] : null;
+    const last = selected.length > 0 ? selected[selected.length - 1] : null;
+    return {
+        total: messages.length,
+        count: selected.length,
+        first,
+        last,
+        firstDate: first === null ? null : toISODate(messages[first].send_date),
+        lastDate: last === null ? null : toISODate(messages[last].send_date)
+    };
+}
+
+/**
+ * List the chat's checkpoints (messages ST bookmarked with a link to a checkpoint chat)
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @returns {Array<{index: number, name: string, preview: string}>}
+ */
+export function listChatBookmarks(chatJsonl) {
+    const { messages } = parseChat(chatJsonl);
+    return messages
+        .map((message, index) => ({ message, index }))
+        .filter(({ message }) => message.extra?.bookmark_link)
+        .map(({ message, index }) => ({
+            index,
+            name: message.extra.bookmark_link,
+            preview: String(message.mes || '').slice(0, 60)
+        }));
+}
+
+/**
+ * Parse custom redaction rules, one per line: "pattern => replacement"
+ * The pattern is a regex, optionally written as /source/flags; the replacement defaults to [REDACTED].
+ * Blank lines and lines starting with # are ignored.
+ * @param {string} text - Rules as entered in Export Settings
+ * @returns {Array<{pattern: RegExp, replacement: string}>}
+ */
+export function parseRedactionRules(text) {
+    const rules = [];
+
+    String(text || '').split('\n').forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) {
+            return;
+        }
+
+        const arrow = trimmed.lastIndexOf('=>');
+        const source = (arrow === -1 ? trimmed : trimmed.slice(0, arrow)).trim();
+        const replacement = arrow === -1 ? '[REDACTED]' : trimmed.slice(arrow + 2).trim();
+
+        const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+        const flags = literal ? literal[2] : 'i';
+        try {
+            rules.push({
+                pattern: new RegExp(literal ? literal[1] : source, flags.includes('g') ? flags : `${flags}g`),
+                replacement
+            });
+        } catch (error) {
+            throw new Error(`Redaction rule ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * @param {string[]} names - Names to match
+ * @returns {RegExp|null} Whole-word, case-insensitive match of any name
+ */
+function buildNamePattern(names) {
+    const unique = [...new Set(names.filter(name => typeof name === 'string' && name.trim()))]
+        .sort((a, b) => b.length - a.length) // Longest first so "Ann Lee" wins over "Ann"
+        .map(name => name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return unique.length > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${unique.join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+        : null;
+}
+
+/**
+ * Strip or replace sensitive content in a chat
+ * @param {string} chatJsonl - Raw chat JSONL
+ * @param {Object} profile - Redaction profile
+ * @param {boolean} profile.names - Replace user and persona names with {{user}} (and drop persona avatars)
+ * @param {boolean} profile.reasoning - Drop reasoning (extra.reasoning*, <think> blocks)
+ * @param {boolean} profile.metadata - Drop generation metadata (timings, API, model, token counts)
+ * @param {boolean} profile.images - Drop attached and inline images and files
+ * @param {string[]} [profile.userNames] - Persona names to replace besides those the chat records
+ * @param {Array<{pattern: RegExp, replacement: string}>} [profile.rules] - Custom rules (parseRedactionRules), run last on message text
+ * @returns {string} Redacted chat JSONL
+ */
+export function applyRedaction(chatJsonl, profile) {
+    const { header, messages } = parseChat(chatJsonl);
+    const rules = profile.rules || [];
+
+    const namePattern = profile.names
+        ? buildNamePattern([header?.user_name, ...messages.filter(message => message.is_user).map(message => message.name), ...(profile.userNames || [])])
+        : null;
+
+    const redactText = text => {
+        if (typeof text !== 'string') {
+            return text;
+        }
+
+        let result = text;
+        if (profile.reasoning) {
+            result = result.replace(/<(think|thinking|reasoning)>[\s\S]*?<\/\1>\s*/gi, '');
+        }
+        if (profile.images) {
+            result = result.replace(/!\[[^\]]*\]\([^)]*\)|<img\b[^>]*>/gi, '');
+        }
+        if (namePattern) {
+            result = result.replace(namePattern, USER_PLACEHOLDER);
+        }
+        for (const rule of rules) {
+            result = result.replace(rule.pattern, rule.replacement);
+        }
+        return result;
+    };
+
+    const redactExtra = extra => {
+        if (!extra || typeof extra !== 'object') {
+            return extra;
+        }
+
+        const dropped = [
+            ...(profile.reasoning ? REASONING_EXTRA_FIELDS : []),
+            ...(profile.metadata ? GENERATION_EXTRA_FIELDS : []),
+            ...(profile.images ? IMAGE_EXTRA_FIELDS : [])
+        ];
+        const redacted = Object.fromEntries(Object.entries(extra).filter(([field]) => !dropped.includes(field)));
+        if (typeof redacted.display_text === 'string') {
+            redacted.display_text = redactText(redacted.display_text);
+        }
+        return redacted;
+    };
+
+    const redactGeneration = entry => {
+        const { gen_started: genStarted, gen_finished: genFinished, ...rest } = entry;
+        return profile.metadata ? rest : entry;
+    };
+
+    const redacted = messages.map(message => {
+        const result = redactGeneration({ ...message, mes: redactText(message.mes), extra: redactExtra(message.extra) });
+        if (result.extra === undefined) {
+            delete result.extra;
+        }
+
+        if (Array.isArray(message.swipes)) {
+            result.swipes = message.swipes.map(redactText);
+        }
+        if (Array.isArray(message.swipe_info)) {
+            result.swipe_info = message.swipe_info.map(info => info && typeof info === 'object'
+                ? redactGeneration({ ...info, extra: redactExtra(info.extra) })
+                : info);
+        }
+        if (profile.names && message.is_user) {
+            result.name = USER_PLACEHOLDER;
+            delete result.force_avatar; // Persona avatar filename
+        }
+
+        return result;
+    });
+
+    let redactedHeader = header;
+    if (header && profile.names) {
+        redactedHeader = { ...header, user_name: USER_PLACEHOLDER };
+        if (header.chat_metadata?.persona) {
+            const { persona, ...chatMetadata } = header.chat_metadata;
+            redactedHeader.chat_metadata = chatMetadata;
+        }
+    }
+
+    console.log(`[${MODULE_NAME}] Redacted ${messages.length} messages (${rules.length} custom rules)`);
+    return serializeChat(redactedHeader, redacted);
+}
+
+/**
+ * Convert a chat to another format
+ * @param {string} chatJsonl - Raw chat JSONL from ST
+ * @param {string} format - Key of CHAT_FORMATS
+ * @param {Object} [context] - Details the JSONL doesn't carry
+ * @param {string} [context.title] - Transcript title
+ * @param {string} [context.characterAvatar] - Character avatar filename (solo chats)
+ * @param {string|null} [context.personaAvatar] - Persona avatar filename, for user messages without their own avatar
+ * @param {AbortSignal} [context.signal] - Cancels avatar fetches (HTML)
+ * @returns {Promise<{data: string, extension: string, mimeType: string}>}
+ */
+export async function convertChat(chatJsonl, format, context = {}) {
+    const target = CHAT_FORMATS[format];
+    if (!target) {
+        throw new Error(`Unknown chat format: ${format}`);
+    }
+
+    if (format === 'jsonl') {
+        return { data: chatJsonl, ...target };
+    }
+
+    const { header, messages } = parseChat(chatJsonl);
+    const normalized = messages.map(normalizeMessage);
+    const title = context.title || header?.character_name || 'Chat';
+
+    let data;
+    switch (format) {
+        case 'rolecall':
+            data = JSON.stringify(normalized, null, 2);
+            break;
+        case 'markdown':
+            data = toMarkdown(title, normalized);
+            break;
+        case 'html':
+            data = toHtml(title, normalized, await inlineAvatars(messages, context));
+            break;
+        case 'text':
+            data = toPlainText(title, normalized);
+            break;
+    }
+
+    console.log(`[${MODULE_NAME}] Converted ${normalized.length} messages to ${format}`);
+    return { data, ...target };
+}
+
+/**
+ * Normalize an ST message into a RoleCall message
+ * Alternate swipes (only present when the swipe policy keeps them) are listed with the chosen one flagged
+ * @param {Object} message - ST chat message
+ * @param {number} index - Position in the chat
+ * @returns {{index: number, role: string, name: string, content: string, timestamp: string|null, hidden: boolean, model?: string, swipes?: Array<Object>}}
+ */
+function normalizeMessage(message, index) {
+    let role = 'assistant';
+    if (message.extra?.type === 'narrator') {
+        role = 'system';
+    } else if (message.is_user) {
+        role = 'user';
+    }
+
+    const normalized = {
+        index,
+        role,
+        name: message.name || '',
+        content: message.mes || '',
+        timestamp: toISODate(message.send_date),
+        hidden: Boolean(message.is_system) // Hidden from the prompt in ST
+    };
+
+    if (message.extra?.model) {
+        normalized.model = message.extra.model;
+    }
+
+    if (hasAlternates(message)) {
+        const info = Array.isArray(message.swipe_info) ? message.swipe_info : [];
+        normalized.swipes = message.swipes.map((content, swipe) => ({
+            content,
+            selected: swipe === (message.swipe_id ?? 0),
+            timestamp: toISODate(info[swipe]?.send_date),
+            model: info[swipe]?.extra?.model ?? null
+        }));
+    }
+
+    return normalized;
+}
+
+/**
+ * ST has written send_date as epoch milliseconds, ISO strings and "June 4, 2024 9:15pm"
+ * @param {*} sendDate - Message send_date
+ * @returns {string|null} ISO date, or null if it can't be read
+ */
+function toISODate(sendDate) {
+    if (sendDate === undefined || sendDate === null || sendDate === '') {
+        return null;
+    }
+
+    let date = new Date(sendDate);
+    if (isNaN(date) && typeof sendDate === 'string') {
+        // "9:15pm" isn't parseable, "9:15 pm" is
+        date = new Date(sendDate.replace(/(\d)(am|pm)$/i, '$1 $2'));
+    }
+    return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * @param {string|null} timestamp - ISO date
+ * @returns {string} Readable date, or '' if unknown
+ */
+function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * @param {string} title - Transcript title
+ * @param {Array<Object>} messages - Normalized messages
+ * @returns {string}
+ */
+function toMarkdown(title, messages) {
+    const lines = [`# ${title}`, ''];
+    for (const message of messages) {
+        const date = formatDate(message.timestamp);
+        lines.push(`**${message.name}**${date ? ` · *${date}*` : ''}${message.hidden ? ' · *(hidden)*' : ''}`, '');
+        lines.push(message.content, '', '---', '');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * @param {string} title - Transcript title
+ * @param {Array<Object>} messages - Normalized messages
+ * @returns {string}
+ */
+function toPlainText(title, messages) {
+    const lines = [title, '='.repeat(title.length), ''];
+    for (const message of messages) {
+        const date = formatDate(message.timestamp);
+        lines.push(`${message.name}${date ? ` (${date})` : ''}:`, message.content, '');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * @param {string} text - Raw text
+ * @returns {string} Text safe to place in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape message text and apply the *italic* / **bold** markup roleplay chats lean on
+ * @param {string} text - Message text
+ * @returns {string} HTML
+ */
+function formatMessageHtml(text) {
+    return escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+/**
+ * Work out the avatar URL shown next to a message in ST
+ * @param {Object} message - ST chat message
+ * @param {Object} context - See convertChat()
+ * @returns {string|null}
+ */
+function getMessageAvatarUrl(message, context) {
+    if (typeof message.force_avatar === 'string' && message.force_avatar) {
+        return message.force_avatar.startsWith('/') ? message.force_avatar : `/${message.force_avatar}`;
+    }
+    if (message.is_user) {
+        return context.personaAvatar ? `/User Avatars/${encodeURIComponent(context.personaAvatar)}` : null;
+    }
+
+    const avatar = message.original_avatar || context.characterAvatar;
+    return avatar ? `/characters/${encodeURIComponent(avatar)}` : null;
+}
+
+/**
+ * @param {Blob} blob - Image
+ * @returns {Promise<string>} data: URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Fetch every avatar the chat shows, once each, as data: URLs
+ * A missing avatar is logged and shown as an initial instead
+ * @param {Array<Object>} messages - ST chat messages
+ * @param {Object} context - See convertChat()
+ * @returns {Promise<Array<string|null>>} data: URL per message
+ */
+async function inlineAvatars(messages, context) {
+    const urls = messages.map(message => getMessageAvatarUrl(message, context));
+    const dataUrls = new Map();
+
+    for (const url of new Set(urls.filter(Boolean))) {
+        try {
+            const response = await fetchWithRetry(url, { signal: context.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            dataUrls.set(url, await blobToDataUrl(await response.blob()));
+        } catch (error) {
+            context.signal?.throwIfAborted();
+            console.warn(`[${MODULE_NAME}] Could not inline avatar ${url}:`, error);
+        }
+    }
+
+    return urls.map(url => dataUrls.get(url) || null);
+}
+
+const HTML_STYLE = `
+body { margin: 0; background: #1e1f24; color: #dcdde1; font: 15px/1.55 system-ui, sans-serif; }
+main { max-width: 820px; margin: 0 auto; padding: 24px 16px; }
+h1 { font-size: 1.4rem; border-bottom: 1px solid #3a3c44; padding-bottom: 12px; }
+.message { display: flex; gap: 12px; padding: 12px 0; border-bottom: 1px solid #2c2e35; }
+.message.user .name { color: #7fb8ff; }
+.message.system .name { color: #c9a35c; }
+.message.hidden { opacity: 0.55; }
+.avatar { flex-shrink: 0; width: 48px; height: 48px; border-radius: 50%; object-fit: cover; background: #3a3c44; display: flex; align-items: center; justify-content: center; font-weight: bold; }
+.header { display: flex; gap: 8px; align-items: baseline; }
+.name { font-weight: 600; color: #e6b8ff; }
+.date { font-size: 0.8rem; opacity: 0.6; }
+.content { white-space: pre-wrap; word-wrap: break-word; }
+em { color: #a9abb3; }
+`;
+
+/**
+ * Build a self-contained HTML transcript
+ * @param {string} title - Transcript title
+ * @param {Array<Object>} messages - Normalized messages
+ * @param {Array<string|null>} avatars - data: URL per message
+ * @returns {string}
+ */
+function toHtml(title, messages, avatars) {
+    const body = messages.map((message, i) => {
+        const avatar = avatars[i]
+            ? `<img class="avatar" src="${avatars[i]}" alt="">`
+            : `<div class="avatar">${escapeHtml((message.name || '?').charAt(0).toUpperCase())}</div>`;
+        const date = formatDate(message.timestamp);
+
+        return `<div class="message ${message.role}${message.hidden ? ' hidden' : ''}">
+${avatar}
+<div>
+<div class="header"><span class="name">${escapeHtml(message.name)}</span>${date ? `<span class="date">${escapeHtml(date)}</span>` : ''}</div>
+<div class="content">${formatMessageHtml(message.content)}</div>
+</div>
+</div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,281 @@
+/**
+ * Chat Tree - Rebuilds the checkpoint/branch structure of each character's chats
+ * Separated concern: Chat lineage
+ *
+ * SillyTavern records where a checkpoint or branch came from only inside the
+ * chat file (chat_metadata.main_chat), so every chat of a character with more
+ * than one chat is read to link it to its parent. The branch point is the
+ * parent message the child splits off at: the message carrying the checkpoint
+ * link, or else the last message both chats share.
+ */
+
+import { fetchChatJsonl } from './data-providers.js';
+import { parseChat } from './chat-context.js';
+
+const MODULE_NAME = 'RoleOut-ChatTree';
+const MAX_READS_IN_FLIGHT = 4; // Chats read (and parsed) at once while building trees
+const MAX_CACHED_JSONL_CHARS = 32 * 1024 * 1024; // Chat text kept from the last tree build for a following tree export
+
+// Chat links by owner, reused while the owner's chats are unchanged (same files, sizes and message counts)
+const treeCache = new Map();
+
+// Chat JSONL read while building trees, by chat key, oldest first
+const jsonlCache = new Map();
+let cachedJsonlChars = 0;
+
+/**
+ * @param {Object} chat - Chat from getChatList()
+ * @returns {string|null} Group ID or character avatar the chat belongs to
+ */
+export function getChatOwnerKey(chat) {
+    return chat.group || chat.avatar || null;
+}
+
+/**
+ * @param {Object} chat - Chat from getChatList()
+ * @returns {string} Changes whenever the chat file does
+ */
+function getChatSignature(chat) {
+    return `${chat.file_name}:${chat.messageCount}:${chat.fileSize}`;
+}
+
+/**
+ * Keep a chat's JSONL for a tree export that follows, dropping the oldest entries past the size cap
+ * @param {Object} chat - Chat from getChatList()
+ * @param {string} chatJsonl - Raw chat JSONL
+ */
+function cacheChatJsonl(chat, chatJsonl) {
+    const key = `${getChatOwnerKey(chat)}/${chat.file_name}`;
+    if (jsonlCache.has(key)) {
+        cachedJsonlChars -= jsonlCache.get(key).chatJsonl.length;
+        jsonlCache.delete(key);
+    }
+    if (chatJsonl.length > MAX_CACHED_JSONL_CHARS) {
+        return;
+    }
+
+    for (const [oldKey, entry] of jsonlCache) {
+        if (cachedJsonlChars + chatJsonl.length <= MAX_CACHED_JSONL_CHARS) {
+            break;
+        }
+        cachedJsonlChars -= entry.chatJsonl.length;
+        jsonlCache.delete(oldKey);
+    }
+
+    jsonlCache.set(key, { signature: getChatSignature(chat), chatJsonl });
+    cachedJsonlChars += chatJsonl.length;
+}
+
+/**
+ * Chat JSONL read while building the trees, if it is still current
+ * @param {Object} chat - Chat from getChatList()
+ * @returns {string|null}
+ */
+export function getCachedChatJsonl(chat) {
+    const entry = jsonlCache.get(`${getChatOwnerKey(chat)}/${chat.file_name}`);
+    return entry?.signature === getChatSignature(chat) ? entry.chatJsonl : null;
+}
+
+/**
+ * @param {string} name - Chat file name, with or without .jsonl
+ * @returns {string} Name as chat_metadata.main_chat and bookmark links store it
+ */
+function getChatBaseName(name) {
+    return String(name || '').replace(/\.jsonl$/i, '');
+}
+
+/**
+ * Find where a child chat leaves its parent
+ * @param {Array<Object>} parentMessages - Parent chat messages
+ * @param {Array<Object>} childMessages - Child chat messages
+ * @param {string} childName - Child chat base name
+ * @returns {{kind: string, branchPoint: number|null}} 'checkpoint' or 'branch', and the 0-based parent message index
+ */
+function findBranchPoint(parentMessages, childMessages, childName) {
+    const linked = parentMessages.findIndex(message => getChatBaseName(message.extra?.bookmark_link) === childName);
+    if (linked !== -1) {
+        return { kind: 'checkpoint', branchPoint: linked };
+    }
+
+    const limit = Math.min(parentMessages.length, childMessages.length);
+    let shared = 0;
+    while (shared < limit
+        && parentMessages[shared].mes === childMessages[shared].mes
+        && parentMessages[shared].send_date === childMessages[shared].send_date) {
+        shared++;
+    }
+
+    return { kind: 'branch', branchPoint: shared > 0 ? shared - 1 : null };
+}
+
+/**
+ * Work out where each of one owner's chats came from
+ * Chats are read a few at a time; the owner's messages are only held until its links are worked out
+ * @param {Array<Object>} chats - Chats from getChatList() sharing an owner
+ * @param {AbortSignal} [signal] - Cancels the chat reads
+ * @param {function()} [onRead] - Called after each chat is read (or fails to be)
+ * @returns {Promise<Map<string, {parent: string|null, kind: string, branchPoint: number|null, missingParent: string|null, error: string|null}>>}
+ *   Links by chat base name; parent is null for roots
+ */
+async function readOwnerLinks(chats, signal, onRead) {
+    const links = new Map(chats.map(chat => [getChatBaseName(chat.file_name), {
+        parent: null,
+        kind: 'root',
+        branchPoint: null,
+        missingParent: null,
+        error: null
+    }]));
+
+    // A lone chat has nothing to branch from
+    if (chats.length < 2) {
+        return links;
+    }
+
+    const messages = new Map();
+    const queue = [...chats];
+    const readNext = async () => {
+        for (let chat = queue.shift(); chat; chat = queue.shift()) {
+            const name = getChatBaseName(chat.file_name);
+            try {
+                const chatJsonl = getCachedChatJsonl(chat) ?? await fetchChatJsonl(chat, signal);
+                cacheChatJsonl(chat, chatJsonl);
+                const { header, messages: chatMessages } = parseChat(chatJsonl);
+                messages.set(name, chatMessages);
+                links.get(name).parent = getChatBaseName(header?.chat_metadata?.main_chat) || null;
+            } catch (error) {
+                signal?.throwIfAborted();
+                console.warn(`[${MODULE_NAME}] Could not read ${chat.file_name}:`, error);
+                links.get(name).error = error.message;
+            }
+            onRead?.();
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(MAX_READS_IN_FLIGHT, chats.length) }, readNext));
+
+    /**
+     * @param {string} name - Chat base name
+     * @param {string} parent - Its recorded parent
+     * @returns {boolean} True if following parents from parent leads back to name
+     */
+    const formsLoop = (name, parent) => {
+        const seen = new Set();
+        for (let current = parent; current && !seen.has(current); current = links.get(current)?.parent) {
+            if (current === name) {
+                return true;
+            }
+            seen.add(current);
+        }
+        return false;
+    };
+
+    for (const [name, link] of links) {
+        if (!link.parent) {
+            continue;
+        }
+
+        if (!links.has(link.parent) || formsLoop(name, link.parent)) {
+            // The parent was deleted or renamed; keep the chat as its own root
+            link.missingParent = links.has(link.parent) ? null : link.parent;
+            link.parent = null;
+            continue;
+        }
+
+        Object.assign(link, findBranchPoint(messages.get(link.parent) || [], messages.get(name) || [], name));
+    }
+
+    return links;
+}
+
+/**
+ * Group chats by character (or group) and rebuild their checkpoint/branch trees
+ * Chats without a known character can't be read back from ST and are returned as roots under a null key
+ * The chats read are kept (up to a size cap) so a tree export right after doesn't fetch them again
+ * @param {Array<Object>} chats - Chats from getChatList()
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the chat reads
+ * @param {function(number, number)} [options.onProgress] - Called with (chats read, chats to read)
+ * @returns {Promise<Array<{key: string|null, character: string, isGroup: boolean, count: number, branched: number, roots: Array<Object>}>>}
+ *   Trees sorted by character; nodes are {chat, kind: 'root'|'checkpoint'|'branch', parent, branchPoint, missingParent, error, children}
+ */
+export async function buildChatTrees(chats, options = {}) {
+    const { signal, onProgress } = options;
+    const owners = new Map();
+    for (const chat of chats) {
+        const key = getChatOwnerKey(chat);
+        if (!owners.has(key)) {
+            owners.set(key, []);
+        }
+        owners.get(key).push(chat);
+    }
+
+    const signatures = new Map([...owners].map(([key, ownerChats]) => [key, ownerChats.map(getChatSignature).sort().join('|')]));
+
+    // Only owners with several chats whose links aren't cached need reading
+    const total = [...owners]
+        .filter(([key, ownerChats]) => key && ownerChats.length > 1 && treeCache.get(key)?.signature !== signatures.get(key))
+        .reduce((sum, [, ownerChats]) => sum + ownerChats.length, 0);
+    let read = 0;
+    onProgress?.(read, total);
+
+    const trees = [];
+    for (const [key, ownerChats] of owners) {
+        signal?.throwIfAborted();
+        const signature = signatures.get(key);
+        let links = treeCache.get(key)?.signature === signature ? treeCache.get(key).links : null;
+
+        if (!links) {
+            links = await readOwnerLinks(key ? ownerChats : [], signal, () => onProgress?.(++read, total));
+
+            // A failed read is retried the next time the tree opens instead of being remembered
+            if ([...links.values()].some(link => link.error)) {
+                treeCache.delete(key);
+            } else {
+                treeCache.set(key, { signature, links });
+            }
+        }
+
+        // Nodes are rebuilt every time so they carry the current chat objects (list IDs shift as chats come and go)
+        const nodes = new Map(ownerChats.map(chat => {
+            const name = getChatBaseName(chat.file_name);
+            const link = links.get(name) || { parent: null, kind: 'root', branchPoint: null, missingParent: null, error: null };
+            return [name, { chat, ...link, children: [] }];
+        }));
+
+        const roots = [];
+        for (const node of nodes.values()) {
+            if (node.parent) {
+                nodes.get(node.parent).children.push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+
+        trees.push({
+            key,
+            character: ownerChats[0].character,
+            isGroup: ownerChats[0].isGroup,
+            count: ownerChats.length,
+            branched: ownerChats.length - roots.length,
+            roots
+        });
+    }
+
+    trees.sort((a, b) => (a.key === null) - (b.key === null) || a.character.localeCompare(b.character));
+    console.log(`[${MODULE_NAME}] Built ${trees.length} chat trees from ${chats.length} chats`);
+    return trees;
+}
+
+/**
+ * Flatten a tree depth-first, parents before children
+ * @param {{roots: Array<Object>}} tree - Tree from buildChatTrees()
+ * @returns {Array<{node: Object, depth: number}>}
+ */
+export function flattenChatTree(tree) {
+    const flat = [];
+    const visit = (node, depth) => {
+        flat.push({ node, depth });
+        node.children.forEach(child => visit(child, depth + 1));
+    };
+    tree.roots.forEach(root => visit(root, 0));
+    return flat;
+}
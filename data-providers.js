@@ -8,6 +8,8 @@ import { characters, this_chid, getRequestHeaders } from '../../../../script.js'
 import { world_names } from '../../../world-info.js';
 import { openai_setting_names } from '../../../openai.js';
 import { power_user } from '../../../power-user.js';
+import { groups } from '../../../group-chats.js';
+import { fetchWithRetry } from './export-manager.js';
 
 /**
  * Get all characters
@@ -49,9 +51,40 @@ export function getCharacterList() {
     }
 }
 
+/**
+ * Get the full ST character object for export
+ * ST may hold only a shallow copy of large character lists; load the complete card in that case
+ * @param {number} characterId - Character index
+ * @param {AbortSignal} [signal] - Cancels the fetch
+ * @returns {Promise<Object>} Full character object
+ */
+export async function getCharacterData(characterId, signal) {
+    const character = characters?.[characterId];
+    if (!character) {
+        throw new Error(`Character with ID ${characterId} not found`);
+    }
+
+    if (!character.shallow) {
+        return character;
+    }
+
+    const response = await fetchWithRetry('/api/characters/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: character.avatar }),
+        signal
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to load character data: HTTP ${response.status}`);
+    }
+
+    return await response.json();
+}
+
 /**
  * Get all chats across all characters using the API
- * @returns {Promise<Array<{id: number, name: string, character: string, avatar: string, lastMessage: string, messageCount: number, fileSize: string}>>}
+ * @returns {Promise<Array<{id: number, name: string, character: string, avatar: string, group: string|null, isGroup: boolean, lastMessage: string, messageCount: number, fileSize: string}>>}
  */
 export async function getChatList() {
     try {
@@ -80,7 +113,8 @@ export async function getChatList() {
             let avatarPath = null;
 
             if (chat.group) {
-                characterName = 'Group Chat';
+                const group = Array.isArray(groups) ? groups.find(g => g.id === chat.group) : null;
+                characterName = group?.name || 'Group Chat';
             } else if (chat.avatar && characters && Array.isArray(characters)) {
                 const character = characters.find(c => c.avatar === chat.avatar);
                 if (character) {
@@ -95,6 +129,8 @@ export async function getChatList() {
                 file_name: chat.file_name, // Required for export
                 character: characterName,
                 avatar: avatarPath,
+                group: chat.group || null, // Group ID for group chats
+                isGroup: !!chat.group,
                 lastMessage: chat.mes || '[Empty chat]',
                 messageCount: chat.chat_items || 0,
                 fileSize: chat.file_size || '0kb'
@@ -106,6 +142,78 @@ export async function getChatList() {
     }
 }
 
+/**
+ * Get a group definition and its member characters
+ * @param {string} groupId - Group ID
+ * @returns {{group: Object, members: Array<{id: number, name: string, avatar: string, lorebookName: string|null}>}|null}
+ */
+export function getGroupData(groupId) {
+    try {
+        if (!Array.isArray(groups)) {
+            console.warn('[RoleOut] Groups not available');
+            return null;
+        }
+
+        const group = groups.find(g => g.id === groupId);
+        if (!group) {
+            return null;
+        }
+
+        // group.members holds character avatar filenames; skip members that no longer exist
+        const members = (group.members || []).map(avatar => {
+            const id = characters.findIndex(c => c.avatar === avatar);
+            if (id === -1) {
+                return null;
+            }
+
+            const character = characters[id];
+            return {
+                id,
+                name: character.name || character.data?.name || 'Unnamed Character',
+                avatar,
+                lorebookName: character.data?.extensions?.world || null
+            };
+        }).filter(Boolean);
+
+        return { group, members };
+    } catch (error) {
+        console.error('[RoleOut] Error getting group data:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetch a chat file as JSONL text through ST's export endpoint
+ * @param {Object} chat - Chat object with file_name and avatar (or group) properties
+ * @param {AbortSignal} [signal] - Cancels the fetch
+ * @returns {Promise<string>} Raw JSONL text
+ */
+export async function fetchChatJsonl(chat, signal) {
+    const response = await fetchWithRetry('/api/chats/export', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            is_group: !!chat.group,
+            file: chat.file_name,
+            avatar_url: chat.avatar,
+            format: 'jsonl',
+            exportfilename: `${chat.file_name}.jsonl`
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        throw new Error(`Chat export failed: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.result) {
+        throw new Error('Chat export returned no data');
+    }
+
+    return data.result;
+}
+
 /**
  * Get OpenAI presets
  * @returns {Array<{id: number, name: string}>}
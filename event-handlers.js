@@ -9,21 +9,46 @@ import {
     updateStatusCounts,
     toggleOptionsCard,
     toggleMultiSelectMode,
+    toggleChatTreeView,
     toggleItemExpand,
     getSelectedItems,
-    updateExportSelectedButton
+    updateExportSelectedButton,
+    renderImportResults,
+    applyLorebookDetection,
+    renderExportProgress,
+    hideExportProgress,
+    showRangeFields,
+    populateChatBookmarks,
+    renderRangePreview
 } from './ui-controller.js';
 import {
     exportSingleCharacter,
     exportCharactersAsZip,
     exportSingleChat,
     exportChatsAsZip,
+    exportChatTree,
     exportSinglePersona,
-    exportPersonasAsZip
+    exportPersonasAsZip,
+    exportSinglePreset,
+    exportPresetsAsZip,
+    exportSingleLorebook,
+    exportLorebooksAsZip,
+    exportEntireLibrary
 } from './export-manager.js';
+import { importFiles } from './import-manager.js';
+import { resolveChatPersona, detectChatLorebooks } from './chat-context.js';
+import { onExportProgress, cancelExportRun, retryFailedItems } from './export-progress.js';
+import { describeMessageRange, listChatBookmarks, parseRedactionRules } from './chat-converter.js';
+import { flattenChatTree } from './chat-tree.js';
 
 const extensionName = 'RoleOut';
 
+// Chat JSONL loaded for range previews, by chat key; exports always fetch the chat fresh
+const previewChatCache = new Map();
+
+// Chat trees currently shown in the chats list (tree view)
+let chatTrees = [];
+
 /**
  * Bind all event handlers
  */
@@ -44,6 +69,7 @@ function bindStatusPanelHandlers() {
     $('#rolecall-panel-presets').on('click', () => toggleOptionsCard('presets'));
     $('#rolecall-panel-lorebooks').on('click', () => toggleOptionsCard('lorebooks'));
     $('#rolecall-panel-personas').on('click', () => toggleOptionsCard('personas'));
+    $('#rolecall-panel-import').on('click', () => toggleOptionsCard('import'));
 }
 
 /**
@@ -61,6 +87,33 @@ function bindOptionsCardHandlers() {
         toggleMultiSelectMode(type);
     });
 
+    // Chats list: flat list <-> checkpoint/branch trees (clicking while the trees load cancels)
+    $('#rolecall-tree-view-chats').on('click', async function() {
+        chatTrees = await toggleChatTreeView() || [];
+    });
+
+    // Export a whole chat tree through the batch progress panel
+    $(document).on('click', '.rolecall-export-tree-btn', async function() {
+        const tree = chatTrees[parseInt($(this).attr('data-tree-index'))];
+        if (!tree) {
+            return;
+        }
+
+        // Each chat is exported with the options of its own row, parents first
+        const characterOptions = getCharacterCardOptions();
+        const chatExports = flattenChatTree(tree).map(({ node }) => {
+            const itemWrapper = $(`#rolecall-list-chats .rolecall-item-wrapper[data-id="${node.chat.id}"]`);
+            return { chat: node.chat, node, ...getChatExportConfig(node.chat.id, getItemExportOptions(itemWrapper, 'chats')), characterOptions };
+        });
+
+        $(this).prop('disabled', true);
+        try {
+            await exportChatTree(tree, chatExports);
+        } finally {
+            $(this).prop('disabled', false);
+        }
+    });
+
     // List item click handlers (expand/collapse or checkbox toggle)
     $(document).on('click', '.rolecall-list-item', function(e) {
         // Don't expand if clicking checkbox directly
@@ -105,17 +158,32 @@ function bindOptionsCardHandlers() {
     $(document).on('change', 'input[id^="chat_bundle_"]', function() {
         const itemId = $(this).attr('id').replace('chat_bundle_', '');
         const presetSelector = $(`#preset_selector_${itemId}`);
+        const personaSelector = $(`#persona_selector_${itemId}`);
         const lorebookSelector = $(`#lorebook_selector_${itemId}`);
 
         if ($(this).prop('checked')) {
             presetSelector.slideDown(200);
+            personaSelector.slideDown(200);
             lorebookSelector.slideDown(200);
+
+            // Pre-select the lorebooks this chat actually used (once)
+            if (!lorebookSelector.attr('data-initialized')) {
+                detectLorebooksForChat(parseInt(itemId));
+            }
         } else {
             presetSelector.slideUp(200);
+            personaSelector.slideUp(200);
             lorebookSelector.slideUp(200);
         }
     });
 
+    // Message range picker - show the chosen mode's fields and preview what would be exported
+    $(document).on('change input', '.rolecall-range-selector :input', function() {
+        const itemId = parseInt($(this).closest('.rolecall-range-selector').attr('data-item-id'));
+        showRangeFields(itemId, $(`#chat_range_${itemId}`).val());
+        refreshRangePreview(itemId);
+    });
+
     // Export single item button
     $(document).on('click', '.rolecall-export-single', function() {
         const type = $(this).attr('data-type');
@@ -143,7 +211,72 @@ function bindOptionsCardHandlers() {
  * Bind settings change handlers
  */
 function bindSettingsHandlers() {
-    // No global settings to bind - all options are now per-item
+    $('#rolecall-png-chunk-type').on('change', function() {
+        extension_settings[extensionName].pngChunkType = $(this).val();
+        saveSettingsDebounced();
+    });
+
+    $('#rolecall-png-compress-threshold').on('change', function() {
+        const value = Math.max(0, Number($(this).val()) || 0);
+        $(this).val(value);
+        extension_settings[extensionName].pngCompressThresholdKb = value;
+        saveSettingsDebounced();
+    });
+
+    $('#rolecall-avatar-max-dimension').on('change', function() {
+        const value = Math.max(0, Math.round(Number($(this).val()) || 0));
+        $(this).val(value);
+        extension_settings[extensionName].avatarMaxDimension = value;
+        saveSettingsDebounced();
+    });
+
+    $('#rolecall-zip-volume-size').on('change', function() {
+        const value = Math.max(0, Math.round(Number($(this).val()) || 0));
+        $(this).val(value);
+        extension_settings[extensionName].zipVolumeSizeMb = value;
+        saveSettingsDebounced();
+    });
+
+    $('#rolecall-fetch-retries').on('change', function() {
+        const value = Math.min(10, Math.max(0, Math.round(Number($(this).val()) || 0)));
+        $(this).val(value);
+        extension_settings[extensionName].fetchRetries = value;
+        saveSettingsDebounced();
+    });
+
+    $('#rolecall-fetch-timeout').on('change', function() {
+        const value = Math.max(0, Math.round(Number($(this).val()) || 0));
+        $(this).val(value);
+        extension_settings[extensionName].fetchTimeoutSec = value;
+        saveSettingsDebounced();
+    });
+
+    // Redaction profile parts
+    const redactionToggles = {
+        '#rolecall-redact-names': 'redactNames',
+        '#rolecall-redact-reasoning': 'redactReasoning',
+        '#rolecall-redact-metadata': 'redactMetadata',
+        '#rolecall-redact-images': 'redactImages'
+    };
+    for (const [selector, setting] of Object.entries(redactionToggles)) {
+        $(selector).on('change', function() {
+            extension_settings[extensionName][setting] = $(this).prop('checked');
+            saveSettingsDebounced();
+        });
+    }
+
+    // Custom redaction rules are only saved once they all parse
+    $('#rolecall-redaction-rules').on('change', function() {
+        const rules = String($(this).val());
+        try {
+            parseRedactionRules(rules);
+        } catch (error) {
+            toastr.error(error.message, 'RoleOut');
+            return;
+        }
+        extension_settings[extensionName].redactionRules = rules;
+        saveSettingsDebounced();
+    });
 }
 
 /**
@@ -153,6 +286,42 @@ function bindExportHandlers() {
     // All export functionality now handled through:
     // - Per-item expand panels (handled in bindOptionsCardHandlers)
     // - Multi-select batch export (handled in bindOptionsCardHandlers)
+
+    // Batch export progress panel
+    onExportProgress(renderExportProgress);
+    $('#rolecall-progress-cancel').on('click', () => cancelExportRun());
+    $('#rolecall-progress-retry').on('click', () => retryFailedItems());
+    $('#rolecall-progress-close').on('click', () => hideExportProgress());
+
+    // Full library backup
+    $('#rolecall-export-library-btn').on('click', async function() {
+        $(this).prop('disabled', true);
+        try {
+            await exportEntireLibrary();
+        } finally {
+            $(this).prop('disabled', false);
+        }
+    });
+
+    // Import card
+    $('#rolecall-import-btn').on('click', async function() {
+        const files = Array.from($('#rolecall-import-file').prop('files') || []);
+
+        if (files.length === 0) {
+            toastr.warning('Choose one or more files to import', 'RoleOut');
+            return;
+        }
+
+        $(this).prop('disabled', true);
+        try {
+            const results = await importFiles(files, { onExisting: $('#rolecall-import-existing').val() });
+            renderImportResults(results);
+            $('#rolecall-import-file').val('');
+            updateStatusCounts();
+        } finally {
+            $(this).prop('disabled', false);
+        }
+    });
 }
 
 /**
@@ -177,6 +346,86 @@ function bindGlobalEvents() {
 }
 
 
+/**
+ * Detect the lorebooks a chat used and pre-select them in its bundle options
+ * Failures are logged only - the exporter falls back to detecting at export time
+ * @param {number} itemId - Chat item ID
+ */
+async function detectLorebooksForChat(itemId) {
+    try {
+        const { getChatList, fetchChatJsonl } = await import('./data-providers.js');
+        const chats = await getChatList();
+        const chat = chats.find(c => c.id === itemId);
+        if (!chat) {
+            return;
+        }
+
+        const chatJsonl = await fetchChatJsonl(chat);
+        const personaAvatar = $(`#chat_persona_${itemId}`).val() || resolveChatPersona(chatJsonl);
+        const detected = await detectChatLorebooks(chat, chatJsonl, personaAvatar);
+
+        applyLorebookDetection(itemId, detected);
+    } catch (error) {
+        console.warn('[RoleOut] Lorebook auto-detection failed:', error);
+    }
+}
+
+/**
+ * Read a chat's message range controls
+ * @param {number} itemId - Chat item ID
+ * @returns {{mode: string, from?: number, to?: number, after: string|null, bookmark?: number, count?: number}}
+ */
+function readChatRange(itemId) {
+    const readNumber = selector => {
+        const value = $(selector).val();
+        return value === '' || value === undefined || value === null ? undefined : Number(value);
+    };
+
+    return {
+        mode: $(`#chat_range_${itemId}`).val() || 'all',
+        from: readNumber(`#chat_range_from_${itemId}`),
+        to: readNumber(`#chat_range_to_${itemId}`),
+        after: $(`#chat_range_after_${itemId}`).val() || null,
+        bookmark: readNumber(`#chat_range_bookmark_${itemId}`),
+        count: readNumber(`#chat_range_count_${itemId}`)
+    };
+}
+
+/**
+ * Recount the messages a chat's range covers
+ * The chat is loaded once per chat (and its checkpoints listed) the first time a range is picked
+ * @param {number} itemId - Chat item ID
+ */
+async function refreshRangePreview(itemId) {
+    if (readChatRange(itemId).mode === 'all') {
+        return;
+    }
+
+    try {
+        const { getChatList, fetchChatJsonl } = await import('./data-providers.js');
+        const chat = (await getChatList()).find(c => c.id === itemId);
+        if (!chat) {
+            return;
+        }
+
+        const key = `${chat.group || chat.avatar}/${chat.file_name}`;
+        if (!previewChatCache.has(key)) {
+            renderRangePreview(itemId, null);
+            previewChatCache.set(key, fetchChatJsonl(chat).then(chatJsonl => {
+                populateChatBookmarks(itemId, listChatBookmarks(chatJsonl));
+                return chatJsonl;
+            }));
+        }
+
+        const chatJsonl = await previewChatCache.get(key);
+        renderRangePreview(itemId, describeMessageRange(chatJsonl, readChatRange(itemId)));
+    } catch (error) {
+        console.warn('[RoleOut] Range preview failed:', error);
+        previewChatCache.clear();
+        renderRangePreview(itemId, { error: `Could not load chat: ${error.message}` });
+    }
+}
+
 /**
  * Get export options for a specific item
  * @param {jQuery} itemWrapper - Item wrapper element
@@ -193,24 +442,97 @@ function getItemExportOptions(itemWrapper, type) {
         options[id] = checked;
     });
 
-    // For chats, also capture the selected preset and lorebooks
+    // Option dropdowns (card format, ...) are keyed by ID the same way
+    optionsPanel.find('select.rolecall-option-select').each(function() {
+        options[$(this).attr('id')] = $(this).val();
+    });
+
+    // For chats, also capture the message range and the selected preset, persona and lorebooks
     if (type === 'chats') {
+        const rangeSelector = optionsPanel.find('.rolecall-range-selector');
+        if (rangeSelector.length) {
+            options.range = readChatRange(parseInt(rangeSelector.attr('data-item-id')));
+        }
+
         const presetSelect = optionsPanel.find('select[id^="chat_preset_"]');
         if (presetSelect.length) {
             options.selectedPreset = presetSelect.val();
         }
 
-        // Capture selected lorebooks (up to 10)
-        const selectedLorebooks = [];
-        optionsPanel.find('input[name^="chat_lorebook_"]:checked').each(function() {
-            selectedLorebooks.push($(this).val());
-        });
-        options.selectedLorebooks = selectedLorebooks;
+        const personaSelect = optionsPanel.find('select[id^="chat_persona_"]');
+        if (personaSelect.length) {
+            options.selectedPersona = personaSelect.val();
+        }
+
+        // Capture selected lorebooks (up to 10); null until auto-detection or the user has touched the list,
+        // so the exporter detects them itself
+        const lorebookSelector = optionsPanel.find('.rolecall-lorebook-selector');
+        if (lorebookSelector.attr('data-initialized')) {
+            const selectedLorebooks = [];
+            optionsPanel.find('input[name^="chat_lorebook_"]:checked').each(function() {
+                selectedLorebooks.push($(this).val());
+            });
+            options.selectedLorebooks = selectedLorebooks;
+        } else {
+            options.selectedLorebooks = null;
+        }
     }
 
     return options;
 }
 
+/**
+ * Map character option controls to export settings
+ * Controls only exist for features the character has, so a missing format dropdown (no avatar) means JSON
+ * @param {number} id - Character ID
+ * @param {Object} options - Control states keyed by element ID
+ * @returns {{format: string, includeGreetings: boolean, includeLorebook: boolean, cardSpec: string}}
+ */
+function getCharacterExportConfig(id, options) {
+    return {
+        // 'png' (card embedded in avatar), 'json' (card only) or 'charx' (card + assets archive)
+        format: options[`char_format_${id}`] || 'json',
+        includeGreetings: options[`char_greetings_${id}`] !== false,
+        includeLorebook: options[`char_lorebook_${id}`] !== false,
+        cardSpec: options[`char_spec_${id}`] || 'both'
+    };
+}
+
+/**
+ * Card options of every character row in the Characters panel, so a character inside a chat export
+ * comes out the same way as when it is exported on its own
+ * @returns {Object<number, {includeGreetings: boolean, includeLorebook: boolean, cardSpec: string}>} Card options by character ID
+ */
+function getCharacterCardOptions() {
+    const characterOptions = {};
+    $('#rolecall-list-characters .rolecall-item-wrapper').each(function() {
+        const id = parseInt($(this).attr('data-id'));
+        const { format, ...cardOptions } = getCharacterExportConfig(id, getItemExportOptions($(this), 'characters'));
+        characterOptions[id] = cardOptions;
+    });
+    return characterOptions;
+}
+
+/**
+ * Map chat option controls to export settings
+ * @param {number} id - Chat ID
+ * @param {Object} options - Control states keyed by element ID, plus the selected preset/persona/lorebooks
+ * @returns {{includeCharacter: boolean, exportBundle: boolean, format: string, swipes: string, range: Object|null, redact: boolean, selectedPreset: string|null, selectedPersona: string|null, selectedLorebooks: string[]|null}}
+ */
+function getChatExportConfig(id, options) {
+    return {
+        includeCharacter: options[`chat_character_${id}`] !== false,
+        exportBundle: options[`chat_bundle_${id}`] || false,
+        format: options[`chat_format_${id}`] || 'jsonl',
+        swipes: options[`chat_swipes_${id}`] || 'all',
+        range: options.range || null,
+        redact: options[`chat_redact_${id}`] === true,
+        selectedPreset: options.selectedPreset || null,
+        selectedPersona: options.selectedPersona || null,
+        selectedLorebooks: options.selectedLorebooks
+    };
+}
+
 /**
  * Export single item
  * @param {string} type - Content type
@@ -221,9 +543,8 @@ async function exportSingleItem(type, id, options = {}) {
     console.log(`[RoleOut] Exporting ${type} item:`, id, 'with options:', options);
 
     if (type === 'characters') {
-        // Default format is JSON (RoleCall-compatible)
-        const format = 'json';
-        await exportSingleCharacter(id, format);
+        const { format, ...cardOptions } = getCharacterExportConfig(id, options);
+        await exportSingleCharacter(id, format, cardOptions);
     } else if (type === 'chats') {
         // Get the chat data from the data provider
         const { getChatList } = await import('./data-providers.js');
@@ -235,15 +556,13 @@ async function exportSingleItem(type, id, options = {}) {
             return;
         }
 
-        // Map checkbox options to export options
-        const exportOptions = {
-            includeCharacter: options[`chat_character_${id}`] !== false,
-            exportBundle: options[`chat_bundle_${id}`] || false,
-            selectedPreset: options.selectedPreset || null,
-            selectedLorebooks: options.selectedLorebooks || []
-        };
-
-        await exportSingleChat(chat, exportOptions);
+        await exportSingleChat(chat, { ...getChatExportConfig(id, options), characterOptions: getCharacterCardOptions() });
+    } else if (type === 'presets') {
+        await exportSinglePreset(id, {
+            includeConfiguration: options[`preset_config_${id}`] === true
+        });
+    } else if (type === 'lorebooks') {
+        await exportSingleLorebook(id);
     } else if (type === 'personas') {
         await exportSinglePersona(id, options);
     } else {
@@ -260,30 +579,29 @@ async function exportSelectedItems(type, ids) {
     console.log(`[RoleOut] Exporting ${ids.length} ${type} items:`, ids);
 
     if (type === 'characters') {
-        // Default format is JSON (RoleCall-compatible)
-        const format = 'json';
-        await exportCharactersAsZip(ids, format);
+        // Read each character's own option checkboxes
+        const characterExports = ids.map(id => {
+            const itemWrapper = $(`#rolecall-list-characters .rolecall-item-wrapper[data-id="${id}"]`);
+            const options = getItemExportOptions(itemWrapper, type);
+            return { id, ...getCharacterExportConfig(id, options) };
+        });
+
+        await exportCharactersAsZip(characterExports);
     } else if (type === 'chats') {
         // Get chat data and their individual options
         const { getChatList } = await import('./data-providers.js');
         const allChats = await getChatList();
 
+        const characterOptions = getCharacterCardOptions();
         const chatExports = ids.map(id => {
             const chat = allChats.find(c => c.id === id);
             if (!chat) return null;
 
-            // Get checkbox states for this specific chat
-            const includeCharacterCheckbox = $(`#chat_character_${id}`);
-            const includeCharacter = includeCharacterCheckbox.length ? includeCharacterCheckbox.prop('checked') : true;
+            // Read every option this chat's own panel carries (same mapping as single export)
+            const itemWrapper = $(`#rolecall-list-chats .rolecall-item-wrapper[data-id="${id}"]`);
+            const options = getItemExportOptions(itemWrapper, type);
 
-            const exportBundleCheckbox = $(`#chat_bundle_${id}`);
-            const exportBundle = exportBundleCheckbox.length ? exportBundleCheckbox.prop('checked') : false;
-
-            return {
-                chat,
-                includeCharacter,
-                exportBundle
-            };
+            return { chat, ...getChatExportConfig(id, options), characterOptions };
         }).filter(Boolean); // Remove nulls
 
         if (chatExports.length === 0) {
@@ -292,8 +610,26 @@ async function exportSelectedItems(type, ids) {
         }
 
         await exportChatsAsZip(chatExports);
+    } else if (type === 'presets') {
+        const presetExports = ids.map(id => {
+            // Get "Include Current Configuration" state for this specific preset
+            const configCheckbox = $(`#preset_config_${id}`);
+            const includeConfiguration = configCheckbox.length ? configCheckbox.prop('checked') : false;
+
+            return { id, includeConfiguration };
+        });
+
+        await exportPresetsAsZip(presetExports);
+    } else if (type === 'lorebooks') {
+        await exportLorebooksAsZip(ids);
     } else if (type === 'personas') {
-        await exportPersonasAsZip(ids);
+        const personaExports = ids.map(id => {
+            const itemWrapper = $(`#rolecall-list-personas .rolecall-item-wrapper[data-id="${id}"]`);
+            const options = getItemExportOptions(itemWrapper, type);
+            return { id, cardSpec: options[`persona_spec_${id}`] || 'both' };
+        });
+
+        await exportPersonasAsZip(personaExports);
     } else {
         toastr.info(`Batch export of ${ids.length} ${type} will be implemented soon!`, 'RoleOut');
     }
@@ -3,19 +3,41 @@
  * Separated concern: Export business logic
  */
 
-import { getRequestHeaders, user_avatar } from '../../../../script.js';
-import { getCharacterList, getPersonaList } from './data-providers.js';
-import { embedMetadataInPNG } from './png-metadata.js';
+import { getCharacterList, getCharacterData, getChatList, getPersonaList, getPresetList, getLorebookList, getGroupData, fetchChatJsonl } from './data-providers.js';
+import { resolveChatPersona, detectChatLorebooks } from './chat-context.js';
+import { buildCharacterCard, buildPersonaCard, convertCardToV3 } from './character-card.js';
+import { embedMetadataInPNG, removeMetadataFromPNG, verifyEmbeddedMetadata } from './png-metadata.js';
+import { buildCharxArchive } from './charx-builder.js';
+import { ensurePNG } from './avatar-image.js';
 import { power_user } from '../../../power-user.js';
+import { createManifest, addManifestEntry, addManifestRelation, writeManifest, MANIFEST_FILENAME } from './bundle-manifest.js';
+import { getSettings } from './settings-manager.js';
+import { startExportRun, setItemState, setRunPhase } from './export-progress.js';
+import { buildExportReport, formatExportReport, REPORT_JSON_FILENAME, REPORT_TEXT_FILENAME } from './export-report.js';
+import { convertChat, applySwipePolicy, applyMessageRange, applyRedaction, parseRedactionRules } from './chat-converter.js';
+import { getCachedChatJsonl } from './chat-tree.js';
 
 const MODULE_NAME = 'RoleOut-Export';
-const MAX_CONCURRENT_EXPORTS = 5; // Don't hammer the server
+const MAX_CONCURRENT_EXPORTS = 5; // Requests in flight to ST at once, across all exports (enforced by fetchWithRetry)
+const MAX_ITEMS_IN_FLIGHT = 10; // Batch items worked on at once; bounds memory, the request limit protects the server
+const RETRY_BASE_DELAY_MS = 1000; // First retry waits 1s, then 2s, 4s, ...
+const MAX_BUNDLE_LOREBOOKS = 10; // RoleCall limits lorebook imports per chat
+const FULL_CARD_OPTIONS = { includeGreetings: true, includeLorebook: true, cardSpec: 'both' }; // Library backups and unconfigured characters
+const ZIP_FLUSH_BYTES = 16 * 1024 * 1024; // Hand streamed ZIP output to a Blob every 16 MB
+
+// ST group activation strategies (group-chats.js group_activation_strategy)
+const GROUP_ACTIVATION_STRATEGIES = {
+    0: 'natural',
+    1: 'list',
+    2: 'manual',
+    3: 'pooled'
+};
 
 /**
  * Load JSZip library dynamically
  * @returns {Promise<JSZip>}
  */
-async function loadJSZip() {
+export async function loadJSZip() {
     if (window.JSZip) {
         return window.JSZip;
     }
@@ -36,6 +58,120 @@ async function loadJSZip() {
     return window.JSZip;
 }
 
+let activeRequests = 0;
+const requestQueue = [];
+
+// Batch items only hand an AbortSignal down to their fetches; each item's signal maps to the list its retries are logged in
+const retryLogs = new WeakMap();
+
+/**
+ * Wait for a free request slot (at most MAX_CONCURRENT_EXPORTS requests run at once)
+ * @returns {Promise<void>}
+ */
+function acquireRequestSlot() {
+    if (activeRequests < MAX_CONCURRENT_EXPORTS) {
+        activeRequests++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => requestQueue.push(resolve));
+}
+
+/**
+ * Hand a request slot to the next waiting request
+ */
+function releaseRequestSlot() {
+    const next = requestQueue.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests--;
+    }
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Ends the wait early by rejecting
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetch from SillyTavern with a timeout, retries and the shared concurrency limit
+ * Network errors, timeouts, HTTP 429 and 5xx are retried with exponential backoff;
+ * other HTTP errors are returned at once. After the last attempt the final response
+ * is returned (or its error thrown), so callers check response.ok as with fetch().
+ * The body is read inside the wrapper, so the timeout and init.signal cover the whole
+ * download (a body cut off midway is retried like a network error); the Response
+ * returned holds the body in memory.
+ * @param {string} url - Request URL
+ * @param {RequestInit} [init] - fetch() options; init.signal cancels the request and any pending retry
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init = {}) {
+    const { fetchRetries, fetchTimeoutSec } = getSettings();
+    const { signal } = init;
+    const attempts = Math.max(0, fetchRetries) + 1;
+
+    for (let attempt = 1; ; attempt++) {
+        let reason;
+
+        await acquireRequestSlot();
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const timer = fetchTimeoutSec > 0
+            ? setTimeout(() => controller.abort(new Error(`Timed out after ${fetchTimeoutSec}s`)), fetchTimeoutSec * 1000)
+            : null;
+
+        try {
+            signal?.throwIfAborted();
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            if (response.ok || !(response.status === 429 || response.status >= 500) || attempt >= attempts) {
+                const body = response.body ? await response.blob() : null; // 204/304 carry no body
+                if (attempt > 1) {
+                    retryLogs.get(signal)?.push({ url, attempts: attempt, outcome: response.ok ? 'recovered' : `HTTP ${response.status}` });
+                }
+                return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+            }
+            reason = `HTTP ${response.status}`;
+        } catch (error) {
+            // Cancelled by the user: never retry
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            // A timeout surfaces as the abort reason set above
+            const message = controller.signal.aborted ? controller.signal.reason.message : error.message;
+            if (attempt >= attempts) {
+                retryLogs.get(signal)?.push({ url, attempts: attempt, outcome: message });
+                throw new Error(attempts > 1 ? `${message} (after ${attempt} attempts)` : message);
+            }
+            reason = message;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            releaseRequestSlot();
+        }
+
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        console.warn(`[${MODULE_NAME}] ${url} failed (${reason}), retry ${attempt}/${attempts - 1} in ${delay}ms`);
+        await sleep(delay, signal);
+    }
+}
+
 /**
  * Download a blob as a file
  * @param {Blob} blob - The blob to download
@@ -52,6 +188,240 @@ function downloadBlob(blob, filename) {
     document.body.removeChild(a);
 }
 
+/**
+ * Size of a file's contents in bytes
+ * @param {string|Blob|Uint8Array} data - File contents
+ * @returns {number}
+ */
+function getByteLength(data) {
+    if (typeof data === 'string') {
+        return new TextEncoder().encode(data).length;
+    }
+    return data.size ?? data.byteLength;
+}
+
+/**
+ * Number a path until it is free (name.png -> name_2.png, name_3.png, ...)
+ * Sanitized filenames collide easily (Anna's.png and Anna_s.png both become Anna_s.png)
+ * @param {string} path - Wanted path
+ * @param {function(string): boolean} isTaken - Whether a path is already used
+ * @returns {string}
+ */
+function getUniquePath(path, isTaken) {
+    if (!isTaken(path)) {
+        return path;
+    }
+
+    const [, base, extension = ''] = path.match(/^(.*?)(\.[^./]*)?$/);
+    let candidate;
+    for (let n = 2; isTaken(candidate = `${base}_${n}${extension}`); n++);
+    return candidate;
+}
+
+/**
+ * Add a file to a ZIP and describe it in the ZIP's manifest
+ * A path that is already in the ZIP gets a number instead of replacing the earlier file
+ * @param {{zip: JSZip, manifest: Object, prefix?: string, files?: Array}} target - ZIP, its manifest, an optional folder prefix
+ *   and an optional list collecting {path, bytes} of everything written (for the export report)
+ * @param {string} path - Path relative to the prefix
+ * @param {*} data - File contents (string, Blob or Uint8Array)
+ * @param {{type: string, id?: string|number, name?: string}} description - Entry type, original ST identifier and display name
+ * @returns {string} Full path inside the ZIP
+ */
+function addZipEntry(target, path, data, description) {
+    const fullPath = getUniquePath(`${target.prefix || ''}${path}`, candidate => target.zip.file(candidate) !== null);
+    target.zip.file(fullPath, data);
+    addManifestEntry(target.manifest, fullPath, description, data);
+    target.files?.push({ path: fullPath, bytes: getByteLength(data) });
+    return fullPath;
+}
+
+/**
+ * Stream a ZIP into a Blob
+ * Output is gathered into Blob pieces as it is produced, so the archive is never held as one contiguous buffer
+ * @param {JSZip} zip - ZIP to generate
+ * @param {Function} [onProgress] - Called with (percent, currentFile)
+ * @param {AbortSignal} [signal] - Stops generation
+ * @returns {Promise<Blob>}
+ */
+function streamZipToBlob(zip, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+        const pieces = [];
+        let pending = [];
+        let pendingBytes = 0;
+
+        const stream = zip.generateInternalStream({ type: 'uint8array', streamFiles: true });
+        stream
+            .on('data', (chunk, metadata) => {
+                if (signal?.aborted) {
+                    stream.pause();
+                    reject(signal.reason);
+                    return;
+                }
+
+                pending.push(chunk);
+                pendingBytes += chunk.length;
+                if (pendingBytes >= ZIP_FLUSH_BYTES) {
+                    pieces.push(new Blob(pending));
+                    pending = [];
+                    pendingBytes = 0;
+                }
+                onProgress?.(metadata.percent, metadata.currentFile);
+            })
+            .on('error', reject)
+            .on('end', () => {
+                pieces.push(new Blob(pending));
+                resolve(new Blob(pieces, { type: 'application/zip' }));
+            })
+            .resume();
+    });
+}
+
+/**
+ * Group manifest entries into volumes of at most maxBytes (uncompressed)
+ * Files of one chat bundle stay in the same volume; a unit bigger than maxBytes gets a volume to itself
+ * @param {Array<Object>} entries - Manifest JSON entries (path, size)
+ * @param {number} maxBytes - Volume size limit
+ * @returns {Array<Array<Object>>} Entries per volume
+ */
+function planZipVolumes(entries, maxBytes) {
+    const units = new Map();
+    for (const entry of entries) {
+        const bundle = entry.path.match(/^bundles\/[^/]+\//);
+        const key = bundle ? bundle[0] : entry.path;
+        if (!units.has(key)) {
+            units.set(key, []);
+        }
+        units.get(key).push(entry);
+    }
+
+    const volumes = [];
+    let current = [];
+    let currentBytes = 0;
+    for (const unit of units.values()) {
+        const unitBytes = unit.reduce((sum, entry) => sum + entry.size, 0);
+        if (current.length > 0 && currentBytes + unitBytes > maxBytes) {
+            volumes.push(current);
+            current = [];
+            currentBytes = 0;
+        }
+        current.push(...unit);
+        currentBytes += unitBytes;
+    }
+    if (current.length > 0) {
+        volumes.push(current);
+    }
+
+    return volumes;
+}
+
+/**
+ * Write the manifest, stream the ZIP and download it
+ * Above the configured volume size the archive is split into standalone volume ZIPs
+ * (name_part1of3.zip, ...), each carrying the full manifest with every entry's volume number.
+ * Splitting moves files out of zip as it goes, so zip can't be reused afterwards.
+ * @param {JSZip} zip - Root ZIP
+ * @param {Object} manifest - Manifest from createManifest()
+ * @param {string} filename - Download filename
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (percent, currentFile) across all volumes
+ * @param {AbortSignal} [options.signal] - Stops generation; volumes already saved stay saved
+ * @returns {Promise<{volumes: number}>}
+ */
+async function downloadZip(zip, manifest, filename, options = {}) {
+    const { onProgress, signal } = options;
+    const maxBytes = (getSettings().zipVolumeSizeMb || 0) * 1024 * 1024;
+    const manifestJson = await writeManifest(zip, manifest);
+    const totalBytes = manifestJson.entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    if (!maxBytes || totalBytes <= maxBytes) {
+        downloadBlob(await streamZipToBlob(zip, onProgress, signal), filename);
+        return { volumes: 1 };
+    }
+
+    const JSZip = await loadJSZip();
+    const volumes = planZipVolumes(manifestJson.entries, maxBytes);
+    const volumeOf = new Map();
+    volumes.forEach((volume, index) => volume.forEach(entry => volumeOf.set(entry.path, index + 1)));
+
+    const entries = manifestJson.entries.map(entry => ({ ...entry, volume: volumeOf.get(entry.path) }));
+
+    // Browsers block a page's second and later automatic downloads until the user allows them
+    toastr.warning(`Saving ${volumes.length} ZIP volumes. If your browser asks, allow this site to download multiple files, or only the first volume is saved.`,
+        'RoleOut', { timeOut: 15000 });
+
+    for (let index = 0; index < volumes.length; index++) {
+        const volumeZip = new JSZip();
+        for (const entry of volumes[index]) {
+            // The manifest keeps the data the ZIP was given, so nothing is read back out of the ZIP
+            const described = manifest.entries.get(entry.path);
+            volumeZip.file(entry.path, described?.data ?? await zip.file(entry.path).async('uint8array'));
+            zip.remove(entry.path); // Release the source copy as we go
+            if (described) {
+                described.data = undefined;
+            }
+        }
+
+        const volumeManifest = { ...manifestJson, volume: { index: index + 1, count: volumes.length }, entries };
+        volumeZip.file(MANIFEST_FILENAME, JSON.stringify(volumeManifest, null, 2));
+
+        const blob = await streamZipToBlob(volumeZip, (percent, currentFile) => {
+            onProgress?.((index * 100 + percent) / volumes.length, currentFile);
+        }, signal);
+        downloadBlob(blob, filename.replace(/\.zip$/i, `_part${index + 1}of${volumes.length}.zip`));
+    }
+
+    console.log(`[${MODULE_NAME}] Split ${filename} into ${volumes.length} volumes`);
+    toastr.info(`Split into ${volumes.length} ZIP volumes of up to ${maxBytes / 1024 / 1024} MB`, 'RoleOut');
+    return { volumes: volumes.length };
+}
+
+/**
+ * Add the export report to a batch ZIP and download it, showing generation progress in the run's panel
+ * @param {Object} run - Progress run
+ * @param {JSZip} zip - Root ZIP
+ * @param {Object} manifest - Manifest from createManifest()
+ * @param {string} filename - Download filename
+ * @param {Array<{name: string, error: string}>} [unresolved] - Requested items that were dropped before the run started
+ */
+async function downloadBatchZip(run, zip, manifest, filename, unresolved = []) {
+    run.signal.throwIfAborted();
+
+    const report = buildExportReport(run, manifest.kind, unresolved);
+    addZipEntry({ zip, manifest }, REPORT_JSON_FILENAME, JSON.stringify(report, null, 2), { type: 'report', name: 'Export report' });
+    addZipEntry({ zip, manifest }, REPORT_TEXT_FILENAME, formatExportReport(report), { type: 'report', name: 'Export report' });
+
+    setRunPhase(run, 'zipping');
+
+    await downloadZip(zip, manifest, filename, {
+        signal: run.signal,
+        onProgress: percent => setRunPhase(run, 'zipping', percent)
+    });
+
+    setRunPhase(run, 'done');
+}
+
+/**
+ * Report a batch export that stopped early - cancelled from the progress panel or failed outright
+ * @param {Object|null} run - Progress run (null if it failed before starting)
+ * @param {Error} error - What stopped it
+ * @param {string} label - Export name for messages (e.g. 'Batch export')
+ * @returns {boolean} True if it was cancelled
+ */
+function reportBatchFailure(run, error, label) {
+    if (run?.signal.aborted) {
+        setRunPhase(run, 'cancelled');
+        console.log(`[${MODULE_NAME}] ${label} cancelled`);
+        toastr.warning(`${label} cancelled`, 'RoleOut');
+        return true;
+    }
+
+    setRunPhase(run, 'error');
+    console.error(`[${MODULE_NAME}] ${label} failed:`, error);
+    toastr.error(`${label} failed: ${error.message}`, 'RoleOut');
+    return false;
+}
+
 /**
  * Get safe filename from character avatar path
  * Handles edge cases like uppercase extensions, multiple dots, etc.
@@ -77,27 +447,152 @@ function getSafeFilename(avatarPath, newExtension) {
 }
 
 /**
- * Prepare export request body for a character
- * @param {Object} character - Character object with avatar property
- * @param {string} format - Export format ('json' or 'png')
- * @returns {Object} Request body
+ * Sanitize a display name (preset, lorebook, persona) for use as a filename
+ * Keeps dots so names like "v2.8" aren't mangled into extensions
+ * @param {string} name - Display name
+ * @returns {string} Safe filename without extension
+ */
+function getSafeName(name) {
+    return String(name).replace(/[^a-zA-Z0-9_.\- ]/g, '_').replace(/\s+/g, '_');
+}
+
+/**
+ * Avatar filename with its extension switched to .png (avatars are converted before embedding)
+ * @param {string} avatar - Original avatar filename (may be .webp, .jpg, ...)
+ * @returns {string}
+ */
+function toPNGFilename(avatar) {
+    return avatar.replace(/\.[^./]+$/, '') + '.png';
+}
+
+/**
+ * Fetch an avatar and return it as PNG bytes ready for embedding
+ * @param {string} url - Avatar URL
+ * @param {AbortSignal} [signal] - Cancels the fetch
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fetchAvatarAsPNG(url, signal) {
+    const avatarResponse = await fetchWithRetry(url, { signal });
+    if (!avatarResponse.ok) {
+        throw new Error(`Failed to fetch avatar: HTTP ${avatarResponse.status}`);
+    }
+
+    const bytes = new Uint8Array(await avatarResponse.arrayBuffer());
+    return ensurePNG(bytes, { maxDimension: getSettings().avatarMaxDimension });
+}
+
+/**
+ * PNG chunk encoding from the global export settings
+ * @returns {{chunkType: string, compressThreshold: number}}
+ */
+function getPNGEmbedOptions() {
+    const settings = getSettings();
+    return {
+        chunkType: settings.pngChunkType,
+        compressThreshold: settings.pngCompressThresholdKb * 1024
+    };
+}
+
+/**
+ * Embed metadata with the configured chunk encoding, then self-check the result
+ * A file that fails the check never reaches a download or ZIP
+ * @param {Uint8Array} pngData - PNG bytes
+ * @param {string} keyword - Chunk keyword
+ * @param {Object} data - Data to embed
+ * @returns {Promise<Uint8Array>} PNG with embedded metadata
  */
-function prepareExportRequest(character, format) {
+async function embedVerified(pngData, keyword, data) {
+    const result = await embedMetadataInPNG(pngData, keyword, data, getPNGEmbedOptions());
+    await verifyEmbeddedMetadata(result, keyword, data);
+    return result;
+}
+
+/**
+ * Embed a card into a PNG as a V2 'chara' chunk, a V3 'ccv3' chunk, or both
+ * @param {Uint8Array} pngData - PNG bytes
+ * @param {Object} card - V2 card
+ * @param {string} cardSpec - 'v2', 'v3' or 'both'
+ * @param {Object} options - Card options (includeGreetings)
+ * @returns {Promise<Uint8Array>} PNG with embedded card
+ */
+async function embedCardInPNG(pngData, card, cardSpec, options = {}) {
+    let result = pngData;
+
+    // ST avatars already carry chara (and often ccv3) chunks; drop the spec we aren't writing so it can't go stale
+    result = cardSpec === 'v3'
+        ? removeMetadataFromPNG(result, 'chara')
+        : await embedVerified(result, 'chara', card);
+    result = cardSpec === 'v2'
+        ? removeMetadataFromPNG(result, 'ccv3')
+        : await embedVerified(result, 'ccv3', convertCardToV3(card, options));
+
+    return result;
+}
+
+/**
+ * Build a character export file client-side from ST's character data
+ * @param {Object} character - Character list entry (from getCharacterList())
+ * @param {string} format - Export format ('json', 'png' or 'charx')
+ * @param {Object} options - Card options (includeGreetings, includeLorebook, cardSpec: 'v2' | 'v3' | 'both')
+ * @param {{signal?: AbortSignal, stage?: function(string)}} [context] - Cancellation signal and progress stage callback
+ * @returns {Promise<{filename: string, blob: Blob}>}
+ */
+async function buildCharacterExport(character, format, options = {}, context = {}) {
+    const characterData = await getCharacterData(character.id, context.signal);
+    const card = buildCharacterCard(characterData, options);
+    const cardSpec = options.cardSpec || 'both';
+
+    if (format === 'png') {
+        if (!character.avatar) {
+            throw new Error('Character has no avatar image');
+        }
+
+        const pngData = await fetchAvatarAsPNG(`/characters/${encodeURIComponent(character.avatar)}`, context.signal);
+        context.stage?.('embedding');
+        const pngWithMetadata = await embedCardInPNG(pngData, card, cardSpec, options);
+
+        return {
+            filename: getSafeFilename(character.avatar, 'png'),
+            blob: new Blob([pngWithMetadata], { type: 'image/png' })
+        };
+    }
+
+    if (format === 'charx') {
+        if (!character.avatar) {
+            throw new Error('Character has no avatar image');
+        }
+
+        // CHARX is always V3: card.json plus avatar, sprites and embedded images under assets/
+        const JSZip = await loadJSZip();
+        const charx = new JSZip();
+        context.stage?.('embedding');
+        await buildCharxArchive(charx, convertCardToV3(card, options), character.avatar, context.signal);
+
+        return {
+            filename: getSafeFilename(character.avatar, 'charx'),
+            blob: await charx.generateAsync({ type: 'blob' })
+        };
+    }
+
+    // A JSON file holds one card: V3 only when asked for V3 alone
+    const jsonCard = cardSpec === 'v3' ? convertCardToV3(card, options) : card;
+
     return {
-        format: format,
-        avatar_url: character.avatar
+        filename: getSafeFilename(character.avatar, 'json'),
+        blob: new Blob([JSON.stringify(jsonCard, null, 4)], { type: 'application/json' })
     };
 }
 
 /**
  * Export a single character from SillyTavern
  * @param {number} characterId - The character index
- * @param {string} format - Export format ('json' or 'png')
+ * @param {string} format - Export format ('json', 'png' with embedded card, or 'charx' archive)
+ * @param {Object} options - Card options (includeGreetings, includeLorebook)
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function exportSingleCharacter(characterId, format = 'json') {
+export async function exportSingleCharacter(characterId, format = 'json', options = {}) {
     try {
-        console.log(`[${MODULE_NAME}] Exporting character ${characterId} as ${format}`);
+        console.log(`[${MODULE_NAME}] Exporting character ${characterId} as ${format}`, 'with options:', options);
 
         // Use data provider instead of raw window access
         const characters = getCharacterList();
@@ -107,23 +602,8 @@ export async function exportSingleCharacter(characterId, format = 'json') {
             throw new Error(`Character with ID ${characterId} not found in character list`);
         }
 
-        const body = prepareExportRequest(character, format);
-
-        // Call ST's export endpoint
-        const response = await fetch('/api/characters/export', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify(body),
-        });
-
-        if (!response.ok) {
-            const statusText = response.statusText || 'Unknown error';
-            throw new Error(`Export failed: HTTP ${response.status} - ${statusText}`);
-        }
-
         // Download the file
-        const blob = await response.blob();
-        const filename = getSafeFilename(character.avatar, format);
+        const { filename, blob } = await buildCharacterExport(character, format, options);
         downloadBlob(blob, filename);
 
         console.log(`[${MODULE_NAME}] Successfully exported ${filename}`);
@@ -141,24 +621,13 @@ export async function exportSingleCharacter(characterId, format = 'json') {
  * Export a single character (helper for batch export)
  * @param {Object} character - Character object
  * @param {string} format - Export format
+ * @param {Object} options - Card options (includeGreetings, includeLorebook)
+ * @param {{signal?: AbortSignal, stage?: function(string)}} [context] - Cancellation signal and progress stage callback
  * @returns {Promise<{success: boolean, filename?: string, blob?: Blob, error?: string}>}
  */
-async function exportSingleCharacterToBlob(character, format) {
+async function exportSingleCharacterToBlob(character, format, options, context = {}) {
     try {
-        const body = prepareExportRequest(character, format);
-
-        const response = await fetch('/api/characters/export', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify(body),
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const blob = await response.blob();
-        const filename = getSafeFilename(character.avatar, format);
+        const { filename, blob } = await buildCharacterExport(character, format, options, context);
 
         return { success: true, filename, blob };
     } catch (error) {
@@ -168,24 +637,57 @@ async function exportSingleCharacterToBlob(character, format) {
 }
 
 /**
- * Batch export characters with concurrency limit
- * @param {Array<Object>} characters - Array of character objects
- * @param {string} format - Export format
- * @returns {Promise<Array<{success: boolean, character: Object, filename?: string, blob?: Blob, error?: string}>>}
+ * Create an item's abort signal: aborted along with the run, and carrying the item's retry log
+ * @param {Object} run - Progress run
+ * @param {Array} retries - Item's retry log
+ * @returns {AbortSignal}
+ */
+function createItemSignal(run, retries) {
+    const controller = new AbortController();
+    if (run.signal.aborted) {
+        controller.abort(run.signal.reason);
+    } else {
+        run.signal.addEventListener('abort', () => controller.abort(run.signal.reason), { once: true });
+    }
+    retryLogs.set(controller.signal, retries);
+    return controller.signal;
+}
+
+/**
+ * Run an async task over a list of items with concurrency limit
+ * Results are returned in completion order, not input order.
+ * With a progress run, every item's state is tracked (a successful result counts as zipped,
+ * so tasks add their output to the ZIP themselves) and no new items start once the run is cancelled.
+ * Tasks pass context.files (and context.notes, for anything left out) in their ZIP target so the export
+ * report knows what each item wrote, and each item gets its own signal so fetchWithRetry can log that item's retries.
+ * @param {Array} items - Items to process
+ * @param {function(*, {signal?: AbortSignal, stage: function(string), files?: Array, notes?: Array}): Promise<Object>} task - Async task; should resolve with a result object rather than throw
+ * @param {Object|null} [run] - Progress run from startExportRun(), tracking the same items in the same order
+ * @returns {Promise<Array<Object>>}
  */
-async function batchExportCharacters(characters, format) {
+async function runWithConcurrencyLimit(items, task, run = null) {
     const results = [];
-    const queue = [...characters];
     const inProgress = new Set();
+    let next = 0;
+    const isCancelled = () => Boolean(run?.signal.aborted);
 
-    while (queue.length > 0 || inProgress.size > 0) {
+    while ((next < items.length && !isCancelled()) || inProgress.size > 0) {
         // Fill up to max concurrent exports
-        while (inProgress.size < MAX_CONCURRENT_EXPORTS && queue.length > 0) {
-            const character = queue.shift();
-            const promise = exportSingleCharacterToBlob(character, format)
+        while (inProgress.size < MAX_ITEMS_IN_FLIGHT && next < items.length && !isCancelled()) {
+            const index = next++;
+            const signal = run ? createItemSignal(run, run.items[index].retries) : undefined;
+            const context = { signal, stage: state => setItemState(run, index, state), files: run?.items[index].files, notes: run?.items[index].notes };
+
+            setItemState(run, index, 'fetching');
+            const promise = task(items[index], context)
                 .then(result => {
                     inProgress.delete(promise);
-                    return { ...result, character };
+                    if (isCancelled()) {
+                        setItemState(run, index, 'failed', 'Cancelled');
+                    } else {
+                        setItemState(run, index, result.success ? 'zipped' : 'failed', result.success ? null : (result.error || 'Unknown error'));
+                    }
+                    return result;
                 });
             inProgress.add(promise);
         }
@@ -197,6 +699,11 @@ async function batchExportCharacters(characters, format) {
         }
     }
 
+    // Items that never started because the run was cancelled
+    for (let index = next; index < items.length; index++) {
+        setItemState(run, index, 'failed', 'Cancelled');
+    }
+
     return results;
 }
 
@@ -219,48 +726,58 @@ function getTimestampForFilename() {
 
 /**
  * Export multiple characters as a ZIP file
- * @param {number[]} characterIds - Array of character indices
- * @param {string} format - Export format ('json' or 'png')
- * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array}>}
+ * @param {Array<{id: number, format: string, includeGreetings: boolean, includeLorebook: boolean}>} characterExports - Array of character export configs
+ * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array, cancelled?: boolean}>}
  */
-export async function exportCharactersAsZip(characterIds, format = 'json') {
-    let progressToast = null;
+export async function exportCharactersAsZip(characterExports) {
+    let run = null;
 
     try {
-        console.log(`[${MODULE_NAME}] Bulk export: ${characterIds.length} characters as ${format}`);
+        console.log(`[${MODULE_NAME}] Bulk export: ${characterExports.length} characters`);
 
         // Use data provider to get characters
         const allCharacters = getCharacterList();
-        const charactersToExport = characterIds
-            .map(id => allCharacters.find(c => c.id === id))
+        const charactersToExport = characterExports
+            .map(({ id, format, ...options }) => {
+                const character = allCharacters.find(c => c.id === id);
+                return character ? { character, format: format || 'json', options } : null;
+            })
             .filter(Boolean); // Remove any undefined entries
+        const unresolved = characterExports
+            .filter(({ id }) => !allCharacters.some(c => c.id === id))
+            .map(({ id }) => ({ name: `Character ${id}`, error: 'Character not found' }));
 
         if (charactersToExport.length === 0) {
             throw new Error('No valid characters found to export');
         }
 
-        // Show progress toast
-        progressToast = toastr.info(
-            `Preparing ${charactersToExport.length} character${charactersToExport.length > 1 ? 's' : ''}...`,
-            'RoleOut',
-            { timeOut: 0, extendedTimeOut: 0 }
-        );
+        run = startExportRun('Characters', charactersToExport, job => job.character.name,
+            failed => exportCharactersAsZip(failed.map(({ character, format, options }) => ({ id: character.id, format, ...options }))));
 
         // Load JSZip
         const JSZip = await loadJSZip();
         const zip = new JSZip();
+        const manifest = createManifest('characters');
 
-        // Batch export with concurrency control
-        const results = await batchExportCharacters(charactersToExport, format);
+        // Batch export with concurrency control; each finished character goes straight into the ZIP
+        const results = await runWithConcurrencyLimit(charactersToExport, async ({ character, format, options }, context) => {
+            const result = await exportSingleCharacterToBlob(character, format, options, context);
+            if (result.success) {
+                addZipEntry({ zip, manifest, files: context.files }, result.filename, result.blob, {
+                    type: 'character',
+                    id: character.avatar,
+                    name: character.name
+                });
+            }
+            return { ...result, character };
+        }, run);
 
         let exported = 0;
         let failed = 0;
         const errors = [];
 
-        // Add successful exports to ZIP
         for (const result of results) {
-            if (result.success && result.blob && result.filename) {
-                zip.file(result.filename, result.blob);
+            if (result.success) {
                 exported++;
                 console.log(`[${MODULE_NAME}] Added ${result.filename} to ZIP (${exported}/${charactersToExport.length})`);
             } else {
@@ -271,28 +788,21 @@ export async function exportCharactersAsZip(characterIds, format = 'json') {
             }
         }
 
+        run.signal.throwIfAborted();
         if (exported === 0) {
             throw new Error('No characters were exported successfully');
         }
 
-        // Generate ZIP file
-        if (progressToast) {
-            toastr.clear(progressToast);
-        }
-        progressToast = toastr.info('Creating ZIP file...', 'RoleOut', { timeOut: 0, extendedTimeOut: 0 });
-
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
-
         // Download ZIP
         const timestamp = getTimestampForFilename();
         const zipFilename = `RoleOut_Characters_${timestamp}.zip`;
-        downloadBlob(zipBlob, zipFilename);
+        await downloadBatchZip(run, zip, manifest, zipFilename, unresolved);
 
         console.log(`[${MODULE_NAME}] Successfully created ${zipFilename} (${exported} files)`);
 
         // Show success message with details
         const message = failed > 0
-            ? `Exported ${exported} character${exported > 1 ? 's' : ''} (${failed} failed)`
+            ? `Exported ${exported} character${exported > 1 ? 's' : ''} (${failed} failed, see ${REPORT_TEXT_FILENAME})`
             : `Exported ${exported} character${exported > 1 ? 's' : ''}`;
 
         toastr.success(message, zipFilename, { timeOut: 5000 });
@@ -300,328 +810,528 @@ export async function exportCharactersAsZip(characterIds, format = 'json') {
         return { success: true, exported, failed, errors: failed > 0 ? errors : undefined };
 
     } catch (error) {
-        console.error(`[${MODULE_NAME}] Bulk export failed:`, error);
-        toastr.error(`Bulk export failed: ${error.message}`, 'RoleOut');
-        return { success: false, exported: 0, failed: characterIds.length, errors: [error.message] };
-    } finally {
-        // Always clear progress toast
-        if (progressToast) {
-            toastr.clear(progressToast);
-        }
+        const cancelled = reportBatchFailure(run, error, 'Bulk export');
+        return { success: false, exported: 0, failed: characterExports.length, errors: [cancelled ? 'Cancelled' : error.message], cancelled };
     }
 }
 
 /**
- * Export a single chat from SillyTavern
- * @param {Object} chat - Chat object with file_name and avatar properties
- * @param {Object} options - Export options (includeCharacter, etc.)
- * @returns {Promise<{success: boolean, error?: string}>}
+ * Build a character's PNG card for a chat export, the same way the character exports build it
+ * @param {string} avatar - Character avatar filename
+ * @param {Object<number, Object>} [characterOptions] - Card options (includeGreetings, includeLorebook, cardSpec)
+ *   by character ID; characters without an entry get the full card in both formats
+ * @param {AbortSignal} [signal] - Cancels the fetches
+ * @returns {Promise<Blob>}
  */
-export async function exportSingleChat(chat, options = {}) {
-    try {
-        console.log(`[${MODULE_NAME}] Exporting chat:`, chat, 'Options:', options);
+async function buildCharacterPng(avatar, characterOptions = {}, signal = undefined) {
+    const character = getCharacterList().find(c => c.avatar === avatar);
+    if (!character) {
+        throw new Error(`Character ${avatar} not found`);
+    }
 
-        const includeCharacter = options.includeCharacter !== false; // Default true
-        const exportBundle = options.exportBundle || false; // Bundle includes preset + persona + character
+    const { blob } = await buildCharacterExport(character, 'png', characterOptions[character.id] || FULL_CARD_OPTIONS, { signal });
+    return blob;
+}
 
-        // Validate chat object
-        if (!chat || !chat.file_name) {
-            throw new Error('Invalid chat object: missing file_name');
+/**
+ * Add every member character of a group chat to a ZIP
+ * Members deleted from ST are already left out by getGroupData(); a member that exists but fails to
+ * export fails the whole call (after trying the rest), since the group can't be rebuilt without it
+ * @param {{zip: JSZip, manifest: Object, prefix?: string}} target - ZIP target
+ * @param {string} folder - Folder for the PNGs ('' for the target root)
+ * @param {Object} groupData - Result of getGroupData()
+ * @param {Object<number, Object>} [characterOptions] - Card options by character ID (see buildCharacterPng())
+ * @param {AbortSignal} [signal] - Cancels the fetches
+ * @returns {Promise<string[]>} Paths of the members added
+ */
+async function addGroupMembersToZip(target, folder, groupData, characterOptions, signal) {
+    const paths = [];
+    const failed = [];
+
+    for (const member of groupData.members) {
+        try {
+            const charBlob = await buildCharacterPng(member.avatar, characterOptions, signal);
+            paths.push(addZipEntry(target, `${folder}${getSafeFilename(member.avatar, 'png')}`, charBlob, {
+                type: 'character',
+                id: member.avatar,
+                name: member.name
+            }));
+        } catch (memberError) {
+            signal?.throwIfAborted();
+            console.warn(`[${MODULE_NAME}] Group member ${member.name} failed:`, memberError);
+            failed.push(`${member.name} (${memberError.message})`);
         }
+    }
 
-        // If exporting as bundle, create comprehensive ZIP
-        if (exportBundle && chat.avatar) {
-            // Get selected preset from options (from UI dropdown)
-            const selectedPresetName = options.selectedPreset || null;
+    if (failed.length > 0) {
+        throw new Error(`Group member export failed: ${failed.join(', ')}`);
+    }
 
-            const JSZip = await loadJSZip();
-            const zip = new JSZip();
+    return paths;
+}
 
-            // 1. Export chat as JSONL
-            console.log(`[${MODULE_NAME}] Exporting chat JSONL with params:`, {
-                file: chat.file_name,
-                avatar_url: chat.avatar,
-                format: 'jsonl'
-            });
-            const chatResponse = await fetch('/api/chats/export', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    file: chat.file_name,
-                    avatar_url: chat.avatar,
-                    format: 'jsonl',
-                    exportfilename: `${chat.file_name}.jsonl`
-                }),
-            });
+/**
+ * Build group metadata JSON for a bundle
+ * @param {Object} groupData - Result of getGroupData()
+ * @returns {Object} Group metadata in RoleCall-friendly format
+ */
+function buildGroupMetadata(groupData) {
+    const { group, members } = groupData;
 
-            if (!chatResponse.ok) {
-                throw new Error(`Chat export failed: HTTP ${chatResponse.status}`);
-            }
+    return {
+        id: group.id,
+        name: group.name,
+        members: members.map(member => ({
+            avatar: member.avatar,
+            name: member.name,
+            muted: (group.disabled_members || []).includes(member.avatar)
+        })),
+        disabled_members: group.disabled_members || [],
+        activation_strategy: group.activation_strategy,
+        activation_strategy_name: GROUP_ACTIVATION_STRATEGIES[group.activation_strategy] || 'unknown',
+        generation_mode: group.generation_mode,
+        allow_self_responses: !!group.allow_self_responses,
+        auto_mode_delay: group.auto_mode_delay,
+        hideMutedSprites: !!group.hideMutedSprites,
+        exportedAt: new Date().toISOString(),
+        exportedBy: 'RoleOut',
+        source: 'SillyTavern'
+    };
+}
 
-            const chatData = await chatResponse.json();
-            if (!chatData.result) {
-                throw new Error('Chat export returned no data');
-            }
+/**
+ * Add a preset to a bundle ZIP
+ * @param {{zip: JSZip, manifest: Object, prefix?: string}} target - ZIP target
+ * @param {string} presetName - Preset name
+ * @returns {Promise<string|null>} Path of the preset file, or null if it failed
+ */
+async function addPresetToBundle(target, presetName) {
+    // Using ST's native preset access pattern (same as openai.js onExportPresetClick)
+    try {
+        console.log(`[${MODULE_NAME}] Exporting user-selected preset: ${presetName}`);
+
+        const { filename: presetFilename, json: presetJson } = await buildPresetExport(presetName, true);
+        const path = addZipEntry(target, `preset/${presetFilename}`, presetJson, { type: 'preset', id: presetName, name: presetName });
+        console.log(`[${MODULE_NAME}] ✓ Successfully added preset to bundle: ${presetName}`);
+        return path;
+    } catch (presetError) {
+        console.error(`[${MODULE_NAME}] Failed to export preset "${presetName}":`, presetError);
+        toastr.warning(`Failed to export preset: ${presetError.message}`, MODULE_NAME);
+        // Continue without preset - not critical
+        return null;
+    }
+}
 
-            const chatFilename = getSafeFilename(chat.file_name, 'jsonl');
-            zip.file(`chat/${chatFilename}`, chatData.result);
-
-            // 2. Export character as PNG
-            const charResponse = await fetch('/api/characters/export', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    format: 'png',
-                    avatar_url: chat.avatar
-                }),
-            });
+/**
+ * Add a persona to a bundle ZIP as PNG with embedded metadata
+ * @param {{zip: JSZip, manifest: Object, prefix?: string}} target - ZIP target
+ * @param {string} personaAvatar - Persona avatar filename
+ * @param {AbortSignal} [signal] - Cancels the fetch
+ * @returns {Promise<string|null>} Path of the persona file, or null if it failed
+ */
+async function addPersonaToBundle(target, personaAvatar, signal) {
+    try {
+        console.log(`[${MODULE_NAME}] Exporting persona: ${personaAvatar}`);
 
-            if (!charResponse.ok) {
-                throw new Error(`Character export failed: HTTP ${charResponse.status}`);
-            }
+        const pngData = await fetchAvatarAsPNG(`/User Avatars/${encodeURIComponent(personaAvatar)}`, signal);
 
-            const charBlob = await charResponse.blob();
-            const charFilename = getSafeFilename(chat.avatar, 'png');
-            zip.file(`character/${charFilename}`, charBlob);
+        // Get persona metadata from power_user (correct ST structure)
+        const personaName = power_user?.personas?.[personaAvatar] || personaAvatar.replace(/\.[^.]+$/, '');
+        const personaDescObj = power_user?.persona_descriptions?.[personaAvatar] || {};
+        const personaTitle = personaDescObj?.title || '';
+        const personaDescription = typeof personaDescObj === 'string' ? personaDescObj : (personaDescObj?.description || power_user?.persona_description || '');
 
-            // 3. Export user-selected preset as JSON (if they chose one)
-            // Using ST's native preset access pattern (same as openai.js onExportPresetClick)
-            if (selectedPresetName && selectedPresetName.length > 0) {
-                try {
-                    console.log(`[${MODULE_NAME}] Exporting user-selected preset: ${selectedPresetName}`);
+        console.log(`[${MODULE_NAME}] Extracted persona data:`, {
+            name: personaName,
+            title: personaTitle,
+            descriptionLength: personaDescription.length
+        });
 
-                    // Import ST's native preset settings (same approach as openai.js)
-                    const { openai_settings, openai_setting_names } = await import('../../../openai.js');
+        // Build metadata in RoleCall-compatible format
+        const personaMetadata = {
+            name: personaName,
+            title: personaTitle,  // Maps to RC's description field
+            content: personaDescription,  // Maps to RC's content field (full persona sheet)
+            avatar: personaAvatar,
+            exportedAt: new Date().toISOString(),
+            exportedBy: 'RoleOut',
+            source: 'SillyTavern'
+        };
 
-                    if (!openai_setting_names[selectedPresetName]) {
-                        throw new Error(`Preset "${selectedPresetName}" not found in openai_setting_names`);
-                    }
+        // Embed metadata into PNG using 'chara' keyword (V2 spec)
+        // RoleCall will parse this as a character card and extract persona data
+        const pngWithMetadata = await embedVerified(pngData, 'chara', personaMetadata);
 
-                    // Get the preset data using ST's native storage structure
-                    const settingIndex = openai_setting_names[selectedPresetName];
-                    const presetData = openai_settings[settingIndex];
+        // Create filename from persona name and title (e.g., "Boo, TheBazaarHeir.png")
+        const filenameParts = [personaName];
+        if (personaTitle && personaTitle.length > 0) {
+            filenameParts.push(personaTitle);
+        }
+        const personaFilename = filenameParts.join(', ').replace(/[^a-zA-Z0-9_,\- ]/g, '_') + '.png';
+
+        const path = addZipEntry(target, `persona/${personaFilename}`, pngWithMetadata, { type: 'persona', id: personaAvatar, name: personaName });
+        console.log(`[${MODULE_NAME}] ✓ Successfully added persona to bundle: ${personaName}`);
+        return path;
+    } catch (personaError) {
+        console.error(`[${MODULE_NAME}] Failed to export persona:`, personaError);
+        // Continue without persona - not critical
+        return null;
+    }
+}
 
-                    if (!presetData) {
-                        throw new Error(`Preset data not found at index ${settingIndex}`);
-                    }
+/**
+ * Add lorebooks to a bundle ZIP
+ * @param {{zip: JSZip, manifest: Object, prefix?: string}} target - ZIP target
+ * @param {string[]} lorebookNames - Lorebook names (already deduplicated and capped)
+ * @returns {Promise<string[]>} Paths of the lorebooks added
+ */
+async function addLorebooksToBundle(target, lorebookNames) {
+    console.log(`[${MODULE_NAME}] Exporting ${lorebookNames.length} lorebooks:`, lorebookNames);
+    const paths = [];
+
+    for (const lorebookName of lorebookNames) {
+        try {
+            console.log(`[${MODULE_NAME}] Loading lorebook: ${lorebookName}`);
+
+            const { filename: lorebookFilename, json: lorebookJson } = await buildLorebookExport(lorebookName);
+            paths.push(addZipEntry(target, `lorebooks/${lorebookFilename}`, lorebookJson, { type: 'lorebook', id: lorebookName, name: lorebookName }));
+            console.log(`[${MODULE_NAME}] ✓ Successfully added lorebook to bundle: ${lorebookName}`);
+        } catch (lorebookError) {
+            console.error(`[${MODULE_NAME}] Failed to export lorebook "${lorebookName}":`, lorebookError);
+            // Continue with other lorebooks - not critical
+        }
+    }
 
-                    // Clone the preset to avoid modifying the original
-                    const presetClone = structuredClone(presetData);
-
-                    // Add the preset name to the exported JSON (RoleCall needs this for import)
-                    presetClone.name = selectedPresetName;
-
-                    // ST's export format: JSON with 4-space indent (matches onExportPresetClick behavior)
-                    // Use the preset name directly, sanitize it but don't strip "extensions" like ".8" in "v2.8"
-                    const safePresetName = selectedPresetName.replace(/[^a-zA-Z0-9_.\- ]/g, '_').replace(/\s+/g, '_');
-                    const presetFilename = `${safePresetName}.json`;
-                    zip.file(`preset/${presetFilename}`, JSON.stringify(presetClone, null, 4));
-                    console.log(`[${MODULE_NAME}] ✓ Successfully added preset to bundle: ${selectedPresetName}`);
-                } catch (presetError) {
-                    console.error(`[${MODULE_NAME}] Failed to export preset "${selectedPresetName}":`, presetError);
-                    toastr.warning(`Failed to export preset: ${presetError.message}`, MODULE_NAME);
-                    // Continue without preset - not critical
-                }
-            } else {
-                console.log(`[${MODULE_NAME}] User chose to skip preset export`);
-            }
+    return paths;
+}
 
-            // 4. Export current persona as PNG with embedded metadata
-            if (user_avatar) {
-                try {
-                    console.log(`[${MODULE_NAME}] Exporting persona: ${user_avatar}`);
-                    console.log(`[${MODULE_NAME}] power_user.personas:`, power_user?.personas);
-                    console.log(`[${MODULE_NAME}] power_user.persona_descriptions:`, power_user?.persona_descriptions);
-
-                    const avatarResponse = await fetch(`/User Avatars/${user_avatar}`);
-                    if (avatarResponse.ok) {
-                        const avatarBlob = await avatarResponse.blob();
-                        const avatarBuffer = await avatarBlob.arrayBuffer();
-                        const pngData = new Uint8Array(avatarBuffer);
-
-                        // Get persona metadata from power_user (correct ST structure)
-                        console.log(`[${MODULE_NAME}] user_avatar:`, user_avatar);
-                        console.log(`[${MODULE_NAME}] power_user.personas keys:`, Object.keys(power_user?.personas || {}));
-                        console.log(`[${MODULE_NAME}] Looking up personas["${user_avatar}"]:`, power_user?.personas?.[user_avatar]);
-
-                        const personaName = power_user?.personas?.[user_avatar] || user_avatar.replace('.png', '');
-                        const personaDescObj = power_user?.persona_descriptions?.[user_avatar] || {};
-                        const personaTitle = personaDescObj?.title || '';
-                        const personaDescription = typeof personaDescObj === 'string' ? personaDescObj : (personaDescObj?.description || power_user?.persona_description || '');
-
-                        console.log(`[${MODULE_NAME}] Extracted persona data:`, {
-                            name: personaName,
-                            title: personaTitle,
-                            descriptionLength: personaDescription.length
-                        });
-
-                        // Build metadata in RoleCall-compatible format
-                        const personaMetadata = {
-                            name: personaName,
-                            title: personaTitle,  // Maps to RC's description field
-                            content: personaDescription,  // Maps to RC's content field (full persona sheet)
-                            avatar: user_avatar,
-                            exportedAt: new Date().toISOString(),
-                            exportedBy: 'RoleOut',
-                            source: 'SillyTavern'
-                        };
-
-                        // Embed metadata into PNG using 'chara' keyword (V2 spec)
-                        // RoleCall will parse this as a character card and extract persona data
-                        const pngWithMetadata = embedMetadataInPNG(pngData, 'chara', personaMetadata);
-
-                        // Create filename from persona name and title (e.g., "Boo, TheBazaarHeir.png")
-                        const filenameParts = [personaName];
-                        if (personaTitle && personaTitle.length > 0) {
-                            filenameParts.push(personaTitle);
-                        }
-                        const personaFilename = filenameParts.join(', ').replace(/[^a-zA-Z0-9_,\- ]/g, '_') + '.png';
+/**
+ * Build a complete chat bundle into a ZIP
+ * Works for both single-character chats and group chats
+ * @param {{zip: JSZip, manifest: Object, prefix?: string, files?: Array, notes?: Array}} target - ZIP target to write the bundle into;
+ *   notes (batch exports) collects what was left out for the export report
+ * @param {Object} chat - Chat object with file_name and avatar (or group) properties
+ * @param {Object} options - Bundle options (selectedPreset, selectedPersona, selectedLorebooks - null/undefined auto-detects)
+ *   plus the chat options for buildChatFile() and characterOptions (card options by character ID);
+ *   options.chatJsonl is used instead of fetching the chat when given. When redact is on and the profile redacts names,
+ *   the persona and its lorebook are left out
+ * @param {AbortSignal} [signal] - Cancels the fetches; optional parts skipped because of it still fail the bundle
+ * @param {Map<string, Promise>} [shared] - Characters, preset, persona and lorebooks already added by other chats in the
+ *   same ZIP (tree bundles); each is written once and every chat that uses it is related to it
+ * @returns {Promise<string>} Path of the chat file
+ */
+async function buildChatBundle(target, chat, options = {}, signal = undefined, shared = new Map()) {
+    const { manifest } = target;
+
+    /**
+     * Add a dependency once per ZIP
+     * @param {string} key - Dependency key
+     * @param {function(): Promise} add - Writes it, resolving with its path(s)
+     * @returns {Promise}
+     */
+    const addOnce = (key, add) => {
+        if (!shared.has(key)) {
+            shared.set(key, add());
+        }
+        return shared.get(key);
+    };
 
-                        zip.file(`persona/${personaFilename}`, pngWithMetadata);
-                        console.log(`[${MODULE_NAME}] ✓ Successfully added persona to bundle: ${personaName}`);
-                    } else {
-                        console.warn(`[${MODULE_NAME}] Persona avatar fetch failed: HTTP ${avatarResponse.status}`);
-                    }
-                } catch (personaError) {
-                    console.error(`[${MODULE_NAME}] Failed to export persona:`, personaError);
-                    console.error(`[${MODULE_NAME}] Error details:`, {
-                        message: personaError.message,
-                        stack: personaError.stack
-                    });
-                    // Continue without persona - not critical
-                }
-            }
+    // 1. Export chat in the chosen format
+    const chatJsonl = options.chatJsonl ?? await fetchChatJsonl(chat, signal);
+    const chatFile = await buildChatFile(chat, chatJsonl, options, signal);
+    const chatPath = addChatFileToZip(target, chat, chatFile, 'chat/');
+
+    // Persona and lorebooks default to what the chat actually used
+    const chatPersona = options.selectedPersona || resolveChatPersona(chatJsonl);
+    let lorebookNames;
+    if (Array.isArray(options.selectedLorebooks)) {
+        lorebookNames = [...options.selectedLorebooks];
+    } else {
+        const detected = await detectChatLorebooks(chat, chatJsonl, chatPersona);
+        lorebookNames = detected.map(lorebook => lorebook.name);
+        console.log(`[${MODULE_NAME}] Auto-detected lorebooks:`, detected);
+    }
 
-            // 5. Export selected lorebooks (if any)
-            const selectedLorebookNames = options.selectedLorebooks || [];
-            if (selectedLorebookNames.length > 0) {
-                console.log(`[${MODULE_NAME}] Exporting ${selectedLorebookNames.length} lorebooks:`, selectedLorebookNames);
+    // A redacted chat would be undone by the real persona card (name, description, avatar) sitting next to it
+    const profile = options.redact ? getRedactionProfile() : null;
+    let personaAvatar = chatPersona;
+    if (profile?.names && chatPersona) {
+        personaAvatar = null;
+        const personaLorebook = power_user?.persona_descriptions?.[chatPersona]?.lorebook;
+        lorebookNames = lorebookNames.filter(name => name !== personaLorebook);
+
+        const personaName = power_user?.personas?.[chatPersona] || chatPersona;
+        const note = personaLorebook
+            ? `Redact names is on, left out persona ${personaName} and its lorebook ${personaLorebook}`
+            : `Redact names is on, left out persona ${personaName}`;
+        console.log(`[${MODULE_NAME}] ${chat.file_name}: ${note}`);
+        if (target.notes) {
+            target.notes.push(note);
+        } else {
+            toastr.info('Redact names is on, so the persona was left out of the bundle', 'RoleOut');
+        }
+    }
 
-                const { loadWorldInfo } = await import('../../../world-info.js');
+    // 2. Export character(s) as PNG - every member plus group settings for group chats
 
-                for (const lorebookName of selectedLorebookNames) {
-                    try {
-                        console.log(`[${MODULE_NAME}] Loading lorebook: ${lorebookName}`);
+    if (chat.group) {
+        const groupData = getGroupData(chat.group);
+        if (!groupData) {
+            throw new Error(`Group ${chat.group} not found`);
+        }
 
-                        // Load lorebook data from SillyTavern
-                        const lorebookData = await loadWorldInfo(lorebookName);
+        const { groupPath, memberPaths } = await addOnce(`group:${chat.group}`, async () => {
+            const paths = await addGroupMembersToZip(target, 'characters/', groupData, options.characterOptions, signal);
+            console.log(`[${MODULE_NAME}] Added ${paths.length}/${groupData.members.length} group members to bundle`);
 
-                        if (!lorebookData) {
-                            console.warn(`[${MODULE_NAME}] Lorebook not found: ${lorebookName}`);
-                            continue;
-                        }
+            const path = addZipEntry(
+                target,
+                `group/${getSafeName(groupData.group.name || chat.group)}.json`,
+                JSON.stringify(buildGroupMetadata(groupData), null, 4),
+                { type: 'group', id: chat.group, name: groupData.group.name }
+            );
+            for (const memberPath of paths) {
+                addManifestRelation(manifest, path, memberPath, 'member');
+            }
+            return { groupPath: path, memberPaths: paths };
+        });
 
-                        // Export as JSON (full SillyTavern world info format)
-                        const lorebookJson = JSON.stringify(lorebookData, null, 2);
-                        const safeLorebookName = lorebookName.replace(/[^a-zA-Z0-9_.\- ]/g, '_').replace(/\s+/g, '_');
-                        const lorebookFilename = `${safeLorebookName}.json`;
+        addManifestRelation(manifest, chatPath, groupPath, 'group');
+        for (const memberPath of memberPaths) {
+            addManifestRelation(manifest, chatPath, memberPath, 'character');
+        }
 
-                        zip.file(`lorebooks/${lorebookFilename}`, lorebookJson);
-                        console.log(`[${MODULE_NAME}] ✓ Successfully added lorebook to bundle: ${lorebookName}`);
-                    } catch (lorebookError) {
-                        console.error(`[${MODULE_NAME}] Failed to export lorebook "${lorebookName}":`, lorebookError);
-                        // Continue with other lorebooks - not critical
-                    }
-                }
-            } else {
-                console.log(`[${MODULE_NAME}] No lorebooks selected for export`);
+        // Member-linked lorebooks come after the user's own picks
+        for (const member of groupData.members) {
+            if (member.lorebookName && !lorebookNames.includes(member.lorebookName)) {
+                lorebookNames.push(member.lorebookName);
             }
+        }
+    } else {
+        const characterPath = await addOnce(`character:${chat.avatar}`, async () => {
+            const charBlob = await buildCharacterPng(chat.avatar, options.characterOptions, signal);
+            return addZipEntry(target, `character/${getSafeFilename(chat.avatar, 'png')}`, charBlob, {
+                type: 'character',
+                id: chat.avatar,
+                name: chat.character
+            });
+        });
+        addManifestRelation(manifest, chatPath, characterPath, 'character');
+    }
 
-            // Generate and download bundle ZIP
-            const zipBlob = await zip.generateAsync({ type: 'blob' });
-            const timestamp = getTimestampForFilename();
-            const zipFilename = `RoleOut_ChatBundle_${getSafeFilename(chat.file_name, '')}_${timestamp}.zip`;
-            downloadBlob(zipBlob, zipFilename);
-
-            console.log(`[${MODULE_NAME}] Successfully exported chat bundle: ${zipFilename}`);
-            toastr.success(`Exported complete chat bundle`, 'RoleOut');
-            return { success: true };
+    // 3. Export user-selected preset as JSON (if they chose one)
+    if (options.selectedPreset) {
+        const presetPath = await addOnce(`preset:${options.selectedPreset}`, () => addPresetToBundle(target, options.selectedPreset));
+        if (presetPath) {
+            addManifestRelation(manifest, chatPath, presetPath, 'preset');
+        }
+    } else {
+        console.log(`[${MODULE_NAME}] User chose to skip preset export`);
+    }
+
+    // 4. Export the chat's persona as PNG with embedded metadata
+    if (personaAvatar) {
+        const personaPath = await addOnce(`persona:${personaAvatar}`, () => addPersonaToBundle(target, personaAvatar, signal));
+        if (personaPath) {
+            addManifestRelation(manifest, chatPath, personaPath, 'persona');
+        }
+    }
+
+    // 5. Export selected lorebooks (if any) - RoleCall accepts up to 10 per chat, however they were picked
+    const droppedLorebooks = lorebookNames.splice(MAX_BUNDLE_LOREBOOKS);
+    if (droppedLorebooks.length > 0) {
+        const note = `Lorebook limit (${MAX_BUNDLE_LOREBOOKS}) reached, left out: ${droppedLorebooks.join(', ')}`;
+        console.warn(`[${MODULE_NAME}] ${chat.file_name}: ${note}`);
+        if (target.notes) {
+            target.notes.push(note);
+        } else {
+            toastr.warning(`Only the first ${MAX_BUNDLE_LOREBOOKS} lorebooks were bundled`, 'RoleOut');
+        }
+    }
+
+    if (lorebookNames.length > 0) {
+        for (const lorebookName of lorebookNames) {
+            const [lorebookPath] = await addOnce(`lorebook:${lorebookName}`, () => addLorebooksToBundle(target, [lorebookName]));
+            if (lorebookPath) {
+                addManifestRelation(manifest, chatPath, lorebookPath, 'lorebook');
+            }
+        }
+    } else {
+        console.log(`[${MODULE_NAME}] No lorebooks selected for export`);
+    }
+
+    signal?.throwIfAborted();
+    return chatPath;
+}
+
+/**
+ * Convert a chat to its export format
+ * @param {Object} chat - Chat object with file_name and avatar (or group) properties
+ * @param {string} chatJsonl - Raw chat JSONL from ST
+ * @param {{format?: string, swipes?: string, range?: Object, redact?: boolean}} [options] - Chat export options; format is a CHAT_FORMATS key (default 'jsonl'),
+ *   swipes a SWIPE_POLICIES entry (default 'all'), range a message range (default the whole chat), redact applies the redaction profile
+ * @param {AbortSignal} [signal] - Cancels avatar fetches for HTML transcripts
+ * @returns {Promise<{filename: string, data: string, mimeType: string, sidecar: {filename: string, data: string}|null}>}
+ */
+async function buildChatFile(chat, chatJsonl, options = {}, signal = undefined) {
+    const profile = options.redact ? getRedactionProfile() : null;
+    const rangeJsonl = applyMessageRange(chatJsonl, options.range);
+    // Redact before the swipe policy so the alternates sidecar is redacted too
+    const redactedJsonl = profile ? applyRedaction(rangeJsonl, profile) : rangeJsonl;
+    const { chatJsonl: policyJsonl, sidecar } = applySwipePolicy(redactedJsonl, options.swipes);
+
+    const { data, extension, mimeType } = await convertChat(policyJsonl, options.format || 'jsonl', {
+        title: chat.name || chat.file_name,
+        characterAvatar: chat.avatar,
+        personaAvatar: profile?.names ? null : resolveChatPersona(chatJsonl),
+        signal
+    });
+
+    return {
+        filename: getSafeFilename(chat.file_name, extension),
+        data,
+        mimeType,
+        sidecar: sidecar
+            ? { filename: getSafeFilename(chat.file_name, 'swipes.json'), data: JSON.stringify(sidecar, null, 2) }
+            : null
+    };
+}
+
+/**
+ * Redaction profile from the global export settings
+ * @returns {Object} Profile for applyRedaction()
+ */
+function getRedactionProfile() {
+    const settings = getSettings();
+    return {
+        names: settings.redactNames,
+        reasoning: settings.redactReasoning,
+        metadata: settings.redactMetadata,
+        images: settings.redactImages,
+        userNames: Object.values(power_user?.personas || {}),
+        rules: parseRedactionRules(settings.redactionRules)
+    };
+}
+
+/**
+ * Add a converted chat (and its swipe sidecar, if any) to a ZIP
+ * @param {{zip: JSZip, manifest: Object, prefix?: string, files?: Array}} target - ZIP target
+ * @param {Object} chat - Chat object
+ * @param {Object} chatFile - Result of buildChatFile()
+ * @param {string} [folder] - Folder inside the target
+ * @returns {string} Path of the chat file
+ */
+function addChatFileToZip(target, chat, chatFile, folder = '') {
+    const chatPath = addZipEntry(target, `${folder}${chatFile.filename}`, chatFile.data, { type: 'chat', id: chat.file_name, name: chat.name });
+
+    if (chatFile.sidecar) {
+        const sidecarPath = addZipEntry(target, `${folder}${chatFile.sidecar.filename}`, chatFile.sidecar.data, {
+            type: 'swipes',
+            id: chat.file_name,
+            name: `${chat.name} (alternate swipes)`
+        });
+        addManifestRelation(target.manifest, sidecarPath, chatPath, 'swipes');
+    }
+
+    return chatPath;
+}
+
+/**
+ * Export a single chat from SillyTavern
+ * @param {Object} chat - Chat object with file_name and avatar (or group) properties
+ * @param {Object} options - Export options (includeCharacter, format, etc.)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function exportSingleChat(chat, options = {}) {
+    try {
+        console.log(`[${MODULE_NAME}] Exporting chat:`, chat, 'Options:', options);
+
+        const includeCharacter = options.includeCharacter !== false; // Default true
+        const exportBundle = options.exportBundle || false; // Bundle includes preset + persona + character
+
+        // Validate chat object
+        if (!chat || !chat.file_name) {
+            throw new Error('Invalid chat object: missing file_name');
+        }
 
-        } else if (includeCharacter && chat.avatar) {
+        const hasCharacters = !!(chat.avatar || chat.group);
+
+        // If exporting as bundle, create comprehensive ZIP
+        if (exportBundle && hasCharacters) {
             const JSZip = await loadJSZip();
             const zip = new JSZip();
+            const manifest = createManifest('chat-bundle');
 
-            // Export chat as JSONL
-            const chatResponse = await fetch('/api/chats/export', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    file: chat.file_name,
-                    avatar_url: chat.avatar,
-                    format: 'jsonl',
-                    exportfilename: `${chat.file_name}.jsonl`
-                }),
-            });
+            await buildChatBundle({ zip, manifest }, chat, options);
 
-            if (!chatResponse.ok) {
-                throw new Error(`Chat export failed: HTTP ${chatResponse.status}`);
-            }
+            // Generate and download bundle ZIP
+            const timestamp = getTimestampForFilename();
+            const zipFilename = `RoleOut_ChatBundle_${getSafeFilename(chat.file_name, '')}_${timestamp}.zip`;
+            await downloadZip(zip, manifest, zipFilename);
 
-            const chatData = await chatResponse.json();
-            if (!chatData.result) {
-                throw new Error('Chat export returned no data');
-            }
+            console.log(`[${MODULE_NAME}] Successfully exported chat bundle: ${zipFilename}`);
+            toastr.success(`Exported complete chat bundle`, 'RoleOut');
+            return { success: true };
 
-            // Add chat to ZIP
-            const chatFilename = getSafeFilename(chat.file_name, 'jsonl');
-            zip.file(chatFilename, chatData.result);
-
-            // Export character as PNG (V2 card with embedded image)
-            const charResponse = await fetch('/api/characters/export', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    format: 'png',
-                    avatar_url: chat.avatar
-                }),
-            });
+        } else if (includeCharacter && hasCharacters) {
+            const JSZip = await loadJSZip();
+            const zip = new JSZip();
+            const manifest = createManifest('chat');
+            const target = { zip, manifest };
 
-            if (!charResponse.ok) {
-                throw new Error(`Character export failed: HTTP ${charResponse.status}`);
+            // Add chat to ZIP
+            const chatFile = await buildChatFile(chat, await fetchChatJsonl(chat), options);
+            const chatPath = addChatFileToZip(target, chat, chatFile);
+
+            let characterPaths;
+            if (chat.group) {
+                // Group chats carry every member character
+                const groupData = getGroupData(chat.group);
+                if (!groupData) {
+                    throw new Error(`Group ${chat.group} not found`);
+                }
+                characterPaths = await addGroupMembersToZip(target, '', groupData, options.characterOptions);
+            } else {
+                // Export character as PNG with its card embedded
+                const charBlob = await buildCharacterPng(chat.avatar, options.characterOptions);
+                characterPaths = [addZipEntry(target, getSafeFilename(chat.avatar, 'png'), charBlob, {
+                    type: 'character',
+                    id: chat.avatar,
+                    name: chat.character
+                })];
             }
 
-            const charBlob = await charResponse.blob();
-            const charFilename = getSafeFilename(chat.avatar, 'png');
-            zip.file(charFilename, charBlob);
+            for (const characterPath of characterPaths) {
+                addManifestRelation(manifest, chatPath, characterPath, 'character');
+            }
 
             // Generate and download ZIP
-            const zipBlob = await zip.generateAsync({ type: 'blob' });
             const timestamp = getTimestampForFilename();
             const zipFilename = `RoleOut_Chat_${getSafeFilename(chat.file_name, '')}_${timestamp}.zip`;
-            downloadBlob(zipBlob, zipFilename);
+            await downloadZip(zip, manifest, zipFilename);
 
             console.log(`[${MODULE_NAME}] Successfully exported chat with character: ${zipFilename}`);
-            toastr.success(`Exported chat with character`, 'RoleOut');
+            toastr.success(chat.group ? 'Exported group chat with members' : 'Exported chat with character', 'RoleOut');
             return { success: true };
 
         } else {
-            // Export just the chat as JSONL
-            const response = await fetch('/api/chats/export', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    file: chat.file_name,
-                    avatar_url: chat.avatar,
-                    format: 'jsonl',
-                    exportfilename: `${chat.file_name}.jsonl`
-                }),
-            });
-
-            if (!response.ok) {
-                throw new Error(`Chat export failed: HTTP ${response.status}`);
-            }
-
-            const data = await response.json();
-            if (!data.result) {
-                throw new Error('Chat export returned no data');
+            // Export just the chat, in the chosen format
+            const chatFile = await buildChatFile(chat, await fetchChatJsonl(chat), options);
+
+            if (chatFile.sidecar) {
+                // The chat and its swipes sidecar ship together as one download
+                const JSZip = await loadJSZip();
+                const zip = new JSZip();
+                const manifest = createManifest('chat');
+                addChatFileToZip({ zip, manifest }, chat, chatFile);
+
+                const timestamp = getTimestampForFilename();
+                await downloadZip(zip, manifest, `RoleOut_Chat_${getSafeFilename(chat.file_name, '')}_${timestamp}.zip`);
+            } else {
+                downloadBlob(new Blob([chatFile.data], { type: chatFile.mimeType }), chatFile.filename);
             }
 
-            // Download as JSONL file
-            const blob = new Blob([data.result], { type: 'application/jsonl' });
-            const filename = getSafeFilename(chat.file_name, 'jsonl');
-            downloadBlob(blob, filename);
-
-            console.log(`[${MODULE_NAME}] Successfully exported chat: ${filename}`);
+            console.log(`[${MODULE_NAME}] Successfully exported chat: ${chatFile.filename}`);
             toastr.success(`Exported ${chat.file_name}`, 'RoleOut');
             return { success: true };
         }
@@ -634,79 +1344,140 @@ export async function exportSingleChat(chat, options = {}) {
 }
 
 /**
- * Export a single chat to blob (helper for batch export)
- * @param {Object} chat - Chat object
- * @param {boolean} includeCharacter - Whether to include character
- * @returns {Promise<{success: boolean, chatFilename?: string, chatBlob?: Blob, charFilename?: string, charBlob?: Blob, error?: string}>}
+ * Export a character's whole checkpoint/branch tree as one bundle
+ * Every chat is bundled with its own options; characters, preset, persona and lorebooks are written once
+ * and related to each chat that uses them. Each checkpoint or branch gets a 'parent' relation to the chat
+ * it came from, carrying branchKind and branchPoint (0-based parent message index), so the tree can be rebuilt.
+ * Chats read while building the tree view are reused instead of being fetched again.
+ * @param {Object} tree - Tree from buildChatTrees()
+ * @param {Array<{chat: Object, node: Object, format?: string, swipes?: string, range?: Object, redact?: boolean, selectedPreset?: string, selectedPersona?: string, selectedLorebooks?: string[], characterOptions?: Object}>} chatExports
+ *   Chats of the tree with their export configs, parents first (flattenChatTree() order)
+ * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array, cancelled?: boolean}>}
  */
-async function exportSingleChatToBlob(chat, includeCharacter) {
+export async function exportChatTree(tree, chatExports) {
+    let run = null;
+
     try {
-        // Export chat as JSONL
-        const chatResponse = await fetch('/api/chats/export', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({
-                file: chat.file_name,
-                avatar_url: chat.avatar,
-                format: 'jsonl',
-                exportfilename: `${chat.file_name}.jsonl`
-            }),
-        });
+        if (!tree?.key) {
+            throw new Error('Chats without a character cannot be bundled');
+        }
+        if (chatExports.length === 0) {
+            throw new Error('No chats selected for export');
+        }
+
+        console.log(`[${MODULE_NAME}] Exporting chat tree for ${tree.character}: ${chatExports.length} chats`);
 
-        if (!chatResponse.ok) {
-            throw new Error(`HTTP ${chatResponse.status}`);
+        run = startExportRun(`Chat tree: ${tree.character}`, chatExports, chatExport => chatExport.chat.name || chatExport.chat.file_name,
+            failed => exportChatTree(tree, failed));
+
+        const JSZip = await loadJSZip();
+        const zip = new JSZip();
+        const manifest = createManifest('chat-tree');
+        const shared = new Map(); // Dependencies already in the ZIP, shared by every chat of the tree
+        const chatPaths = new Map();
+
+        const results = await runWithConcurrencyLimit(chatExports, async (chatExport, { signal, files, notes }) => {
+            // A tree is always a bundle with its characters, so the per-chat bundle and character toggles don't apply
+            const { chat, node, exportBundle, includeCharacter, ...chatOptions } = chatExport;
+
+            try {
+                const chatJsonl = getCachedChatJsonl(chat) ?? undefined;
+                const chatPath = await buildChatBundle({ zip, manifest, files, notes }, chat, { ...chatOptions, chatJsonl }, signal, shared);
+                chatPaths.set(node, chatPath);
+                console.log(`[${MODULE_NAME}] Added tree chat: ${chat.file_name}`);
+                return { success: true, chat };
+            } catch (error) {
+                console.error(`[${MODULE_NAME}] Tree chat export failed for ${chat.file_name}:`, error);
+                return { success: false, chatName: chat.file_name, error: error.message };
+            }
+        }, run);
+
+        // Relate each exported checkpoint or branch to its parent, if that made it into the ZIP too
+        for (const [node, path] of chatPaths) {
+            for (const child of node.children) {
+                if (chatPaths.has(child)) {
+                    addManifestRelation(manifest, chatPaths.get(child), path, 'parent', {
+                        branchKind: child.kind,
+                        branchPoint: child.branchPoint
+                    });
+                }
+            }
         }
 
-        const chatData = await chatResponse.json();
-        if (!chatData.result) {
-            throw new Error('No data returned');
+        const errors = results.filter(result => !result.success).map(result => `${result.chatName}: ${result.error || 'Unknown error'}`);
+        errors.forEach(errorMsg => console.warn(`[${MODULE_NAME}] ${errorMsg}`));
+
+        run.signal.throwIfAborted();
+        if (chatPaths.size === 0) {
+            throw new Error('No chats were exported successfully');
         }
 
-        const chatBlob = new Blob([chatData.result], { type: 'application/jsonl' });
-        const chatFilename = getSafeFilename(chat.file_name, 'jsonl');
+        const timestamp = getTimestampForFilename();
+        const zipFilename = `RoleOut_ChatTree_${getSafeName(tree.character)}_${timestamp}.zip`;
+        await downloadBatchZip(run, zip, manifest, zipFilename);
+
+        console.log(`[${MODULE_NAME}] Successfully exported chat tree: ${zipFilename}`);
+        const message = errors.length > 0
+            ? `Exported ${chatPaths.size} chats of ${tree.character} (${errors.length} failed, see ${REPORT_TEXT_FILENAME})`
+            : `Exported ${chatPaths.size} chats of ${tree.character} as a tree bundle`;
+        toastr.success(message, zipFilename, { timeOut: 5000 });
+
+        return { success: true, exported: chatPaths.size, failed: errors.length, errors: errors.length > 0 ? errors : undefined };
+
+    } catch (error) {
+        const cancelled = reportBatchFailure(run, error, 'Chat tree export');
+        return { success: false, exported: 0, failed: chatExports.length, errors: [cancelled ? 'Cancelled' : error.message], cancelled };
+    }
+}
+
+/**
+ * Export a single chat to blob (helper for batch export)
+ * @param {Object} chat - Chat object
+ * @param {{includeCharacter: boolean, format?: string, swipes?: string, range?: Object, redact?: boolean, characterOptions?: Object}} options - Include the character (all members for group chats); chat format, swipe policy, message range, redaction and card options by character ID
+ * @param {AbortSignal} [signal] - Cancels the fetches
+ * @returns {Promise<{success: boolean, chatFile?: Object, characterFiles?: Array<{filename: string, blob: Blob, avatarUrl: string, name: string}>, error?: string}>}
+ */
+async function exportSingleChatToBlob(chat, options, signal) {
+    const { includeCharacter } = options;
+
+    try {
+        const chatFile = await buildChatFile(chat, await fetchChatJsonl(chat, signal), options, signal);
+        const characterFiles = [];
 
         // If not including character or no avatar, just return chat
-        if (!includeCharacter || !chat.avatar) {
-            return {
-                success: true,
-                chatFilename,
-                chatBlob,
-                avatarUrl: chat.avatar // For deduplication
-            };
+        if (!includeCharacter || !(chat.avatar || chat.group)) {
+            return { success: true, chat, chatFile, characterFiles };
         }
 
-        // Export character as PNG
-        const charResponse = await fetch('/api/characters/export', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({
-                format: 'png',
-                avatar_url: chat.avatar
-            }),
-        });
+        const members = chat.group
+            ? (getGroupData(chat.group)?.members || [])
+            : [{ avatar: chat.avatar, name: chat.character }];
 
-        if (!charResponse.ok) {
-            // Character export failed, still return chat but log warning
-            console.warn(`[${MODULE_NAME}] Character export failed for ${chat.avatar}, exporting chat only`);
-            return {
-                success: true,
-                chatFilename,
-                chatBlob,
-                avatarUrl: chat.avatar
-            };
+        // Export character(s) as PNG
+        const failedMembers = [];
+        for (const { avatar, name } of members) {
+            try {
+                const blob = await buildCharacterPng(avatar, options.characterOptions, signal);
+                characterFiles.push({
+                    filename: getSafeFilename(avatar, 'png'),
+                    blob,
+                    avatarUrl: avatar, // For deduplication
+                    name
+                });
+            } catch (charError) {
+                signal?.throwIfAborted();
+                // A lone character that fails still leaves the chat exportable
+                console.warn(`[${MODULE_NAME}] Character export failed for ${avatar}, exporting chat without it`);
+                failedMembers.push(`${name} (${charError.message})`);
+            }
         }
 
-        const charBlob = await charResponse.blob();
-        const charFilename = getSafeFilename(chat.avatar, 'png');
+        // A group chat needs every member to be rebuilt, so a missing one fails the item
+        if (chat.group && failedMembers.length > 0) {
+            throw new Error(`Group member export failed: ${failedMembers.join(', ')}`);
+        }
 
-        return {
-            success: true,
-            chatFilename,
-            chatBlob,
-            charFilename,
-            charBlob,
-            avatarUrl: chat.avatar // For deduplication
-        };
+        return { success: true, chat, chatFile, characterFiles };
 
     } catch (error) {
         console.error(`[${MODULE_NAME}] Failed to export chat ${chat.file_name}:`, error);
@@ -719,12 +1490,13 @@ async function exportSingleChatToBlob(chat, includeCharacter) {
 }
 
 /**
- * Batch export chats with concurrency limit and per-chat character inclusion options
- * @param {Array<{chat: Object, includeCharacter: boolean}>} chatExports - Array of chat export configs
- * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array}>}
+ * Batch export chats with concurrency limit and per-chat options
+ * Bundled chats are nested as bundles/<chat>/ inside the same ZIP
+ * @param {Array<{chat: Object, includeCharacter: boolean, exportBundle: boolean, format?: string, swipes?: string, range?: Object, redact?: boolean, selectedPreset?: string, selectedPersona?: string, selectedLorebooks?: string[], characterOptions?: Object}>} chatExports - Array of chat export configs
+ * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array, cancelled?: boolean}>}
  */
 export async function exportChatsAsZip(chatExports) {
-    let progressToast = null;
+    let run = null;
 
     try {
         console.log(`[${MODULE_NAME}] Batch export: ${chatExports.length} chats`);
@@ -733,145 +1505,150 @@ export async function exportChatsAsZip(chatExports) {
             throw new Error('No chats selected for export');
         }
 
-        // Show progress toast
-        progressToast = toastr.info(
-            `Preparing ${chatExports.length} chat${chatExports.length > 1 ? 's' : ''}...`,
-            'RoleOut',
-            { timeOut: 0, extendedTimeOut: 0 }
-        );
+        run = startExportRun('Chats', chatExports, chatExport => chatExport.chat.name || chatExport.chat.file_name,
+            failed => exportChatsAsZip(failed));
 
         // Load JSZip
         const JSZip = await loadJSZip();
         const zip = new JSZip();
+        const manifest = createManifest('chats');
 
-        // Batch export with concurrency control
-        const results = [];
-        const queue = [...chatExports];
-        const inProgress = new Set();
-
-        while (queue.length > 0 || inProgress.size > 0) {
-            while (inProgress.size < MAX_CONCURRENT_EXPORTS && queue.length > 0) {
-                const { chat, includeCharacter, exportBundle } = queue.shift();
-
-                // If bundle export is requested, export directly (not as blob for batch)
-                if (exportBundle) {
-                    const promise = exportSingleChat(chat, { includeCharacter, exportBundle: true })
-                        .then(result => {
-                            inProgress.delete(promise);
-                            return { ...result, isBundleExport: true };
-                        });
-                    inProgress.add(promise);
-                } else {
-                    const promise = exportSingleChatToBlob(chat, includeCharacter)
-                        .then(result => {
-                            inProgress.delete(promise);
-                            return result;
-                        });
-                    inProgress.add(promise);
-                }
+        // Bundles are unique subfolders of the outer ZIP; claim names up front so concurrent jobs can't collide
+        const bundlePrefixes = new Map();
+        const usedPrefixes = new Set();
+        for (const chatExport of chatExports) {
+            if (!chatExport.exportBundle) {
+                continue;
             }
 
-            if (inProgress.size > 0) {
-                const result = await Promise.race(inProgress);
-                results.push(result);
+            const baseName = getSafeName(chatExport.chat.file_name.replace(/\.jsonl$/i, ''));
+            let prefix = `bundles/${baseName}/`;
+            for (let n = 2; usedPrefixes.has(prefix); n++) {
+                prefix = `bundles/${baseName}_${n}/`;
             }
+            usedPrefixes.add(prefix);
+            bundlePrefixes.set(chatExport, prefix);
         }
 
+        const includedCharacters = new Map(); // Track which characters we've already added (avatar -> path)
+
+        // Batch export with concurrency control; each finished chat goes straight into the ZIP
+        const results = await runWithConcurrencyLimit(chatExports, async (chatExport, { signal, files, notes }) => {
+            const { chat, exportBundle, ...chatOptions } = chatExport;
+
+            if (exportBundle) {
+                try {
+                    await buildChatBundle({ zip, manifest, prefix: bundlePrefixes.get(chatExport), files, notes }, chat, chatOptions, signal);
+                    console.log(`[${MODULE_NAME}] Added bundle: ${chat.file_name}`);
+                    return { success: true, isBundleExport: true, chat };
+                } catch (error) {
+                    console.error(`[${MODULE_NAME}] Bundle export failed for ${chat.file_name}:`, error);
+                    return { success: false, isBundleExport: true, chatName: chat.file_name, error: error.message };
+                }
+            }
+
+            const result = await exportSingleChatToBlob(chat, chatOptions, signal);
+            if (!result.success) {
+                return result;
+            }
+
+            // Add chat file
+            const chatPath = addChatFileToZip({ zip, manifest, files }, chat, result.chatFile);
+
+            // Add character files (only once per unique character)
+            for (const characterFile of result.characterFiles) {
+                if (!includedCharacters.has(characterFile.avatarUrl)) {
+                    const characterPath = addZipEntry({ zip, manifest, files }, characterFile.filename, characterFile.blob, {
+                        type: 'character',
+                        id: characterFile.avatarUrl,
+                        name: characterFile.name
+                    });
+                    includedCharacters.set(characterFile.avatarUrl, characterPath);
+                    console.log(`[${MODULE_NAME}] Added character: ${characterFile.filename}`);
+                } else {
+                    console.log(`[${MODULE_NAME}] Skipped duplicate character: ${characterFile.filename}`);
+                }
+
+                addManifestRelation(manifest, chatPath, includedCharacters.get(characterFile.avatarUrl), 'character');
+            }
+
+            console.log(`[${MODULE_NAME}] Added chat: ${result.chatFile.filename}`);
+            return result;
+        }, run);
+
         let exported = 0;
         let failed = 0;
         let bundleExported = 0;
         const errors = [];
-        const includedCharacters = new Set(); // Track which characters we've already added
 
-        // Add successful exports to ZIP
         for (const result of results) {
-            // Skip bundle exports (they were downloaded directly)
-            if (result.isBundleExport) {
-                if (result.success) {
+            if (result.success) {
+                if (result.isBundleExport) {
                     bundleExported++;
-                    console.log(`[${MODULE_NAME}] Bundle exported directly (${bundleExported} bundles)`);
                 } else {
-                    failed++;
-                    errors.push(`Bundle export failed: ${result.error || 'Unknown error'}`);
+                    exported++;
                 }
-                continue;
-            }
-
-            if (result.success) {
-                // Add chat file
-                zip.file(result.chatFilename, result.chatBlob);
-                exported++;
-
-                // Add character file (only once per unique character)
-                if (result.charBlob && result.charFilename && result.avatarUrl) {
-                    if (!includedCharacters.has(result.avatarUrl)) {
-                        zip.file(result.charFilename, result.charBlob);
-                        includedCharacters.add(result.avatarUrl);
-                        console.log(`[${MODULE_NAME}] Added character: ${result.charFilename}`);
-                    } else {
-                        console.log(`[${MODULE_NAME}] Skipped duplicate character: ${result.charFilename}`);
-                    }
-                }
-
-                console.log(`[${MODULE_NAME}] Added chat: ${result.chatFilename} (${exported}/${chatExports.length})`);
             } else {
                 failed++;
-                const errorMsg = `${result.chatName}: ${result.error || 'Unknown error'}`;
+                const errorMsg = `${result.chatName}${result.isBundleExport ? ' (bundle)' : ''}: ${result.error || 'Unknown error'}`;
                 errors.push(errorMsg);
                 console.warn(`[${MODULE_NAME}] ${errorMsg}`);
             }
         }
 
+        run.signal.throwIfAborted();
         if (exported === 0 && bundleExported === 0) {
             throw new Error('No chats were exported successfully');
         }
 
-        // If only bundle exports, no ZIP needed
-        if (exported === 0 && bundleExported > 0) {
-            toastr.clear(progressToast);
-            toastr.success(
-                `Exported ${bundleExported} chat bundle${bundleExported > 1 ? 's' : ''}`,
-                'RoleOut'
-            );
-            return;
-        }
-
-        // Generate ZIP file
-        if (progressToast) {
-            toastr.clear(progressToast);
-        }
-        progressToast = toastr.info('Creating ZIP file...', 'RoleOut', { timeOut: 0, extendedTimeOut: 0 });
-
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
-
         // Download ZIP
         const timestamp = getTimestampForFilename();
         const zipFilename = `RoleOut_Chats_${timestamp}.zip`;
-        downloadBlob(zipBlob, zipFilename);
+        await downloadBatchZip(run, zip, manifest, zipFilename);
 
-        console.log(`[${MODULE_NAME}] Successfully created ${zipFilename} (${exported} chats, ${includedCharacters.size} unique characters)`);
+        console.log(`[${MODULE_NAME}] Successfully created ${zipFilename} (${exported} chats, ${bundleExported} bundles, ${includedCharacters.size} unique characters)`);
 
         // Show success message with details
+        const total = exported + bundleExported;
         const message = failed > 0
-            ? `Exported ${exported} chat${exported > 1 ? 's' : ''} (${failed} failed)`
-            : `Exported ${exported} chat${exported > 1 ? 's' : ''}`;
+            ? `Exported ${total} chat${total > 1 ? 's' : ''} (${failed} failed, see ${REPORT_TEXT_FILENAME})`
+            : `Exported ${total} chat${total > 1 ? 's' : ''}`;
 
         toastr.success(message, zipFilename, { timeOut: 5000 });
 
-        return { success: true, exported, failed, errors: failed > 0 ? errors : undefined };
+        return { success: true, exported: total, failed, errors: failed > 0 ? errors : undefined };
 
     } catch (error) {
-        console.error(`[${MODULE_NAME}] Batch chat export failed:`, error);
-        toastr.error(`Batch export failed: ${error.message}`, 'RoleOut');
-        return { success: false, exported: 0, failed: chatExports.length, errors: [error.message] };
-    } finally {
-        // Always clear progress toast
-        if (progressToast) {
-            toastr.clear(progressToast);
-        }
+        const cancelled = reportBatchFailure(run, error, 'Batch export');
+        return { success: false, exported: 0, failed: chatExports.length, errors: [cancelled ? 'Cancelled' : error.message], cancelled };
     }
 }
 
+/**
+ * Build a persona PNG with its metadata embedded under the 'persona' keyword,
+ * plus a character card (V2, V3 or both) so other frontends can read it
+ * @param {Object} persona - Persona from getPersonaList()
+ * @param {string} cardSpec - 'v2', 'v3' or 'both'
+ * @param {{signal?: AbortSignal, stage?: function(string)}} [context] - Cancellation signal and progress stage callback
+ * @returns {Promise<Uint8Array>} PNG bytes
+ */
+async function buildPersonaExport(persona, cardSpec = 'both', context = {}) {
+    const pngData = await fetchAvatarAsPNG(`/User Avatars/${encodeURIComponent(persona.avatar)}`, context.signal);
+    context.stage?.('embedding');
+
+    const personaMetadata = {
+        name: persona.name,
+        description: persona.description || '',
+        title: persona.title || '',
+        isDefault: persona.isDefault,
+        exportedAt: new Date().toISOString(),
+        exportedBy: 'RoleOut'
+    };
+
+    const pngWithPersona = await embedVerified(pngData, 'persona', personaMetadata);
+    return embedCardInPNG(pngWithPersona, buildPersonaCard(persona), cardSpec);
+}
+
 /**
  * Export a single persona from SillyTavern
  * Personas are exported as PNG files with embedded JSON metadata (like character cards)
@@ -894,27 +1671,7 @@ export async function exportSinglePersona(personaId, options = {}) {
             throw new Error('Persona has no avatar image');
         }
 
-        const avatarResponse = await fetch(`/User Avatars/${persona.avatar}`);
-        if (!avatarResponse.ok) {
-            throw new Error(`Failed to fetch persona avatar: ${avatarResponse.statusText}`);
-        }
-
-        const avatarBlob = await avatarResponse.blob();
-        const avatarBuffer = await avatarBlob.arrayBuffer();
-        const pngData = new Uint8Array(avatarBuffer);
-
-        // Create persona metadata object
-        const personaMetadata = {
-            name: persona.name,
-            description: persona.description || '',
-            title: persona.title || '',
-            isDefault: persona.isDefault,
-            exportedAt: new Date().toISOString(),
-            exportedBy: 'RoleOut'
-        };
-
-        // Embed metadata into PNG using 'persona' keyword
-        const pngWithMetadata = embedMetadataInPNG(pngData, 'persona', personaMetadata);
+        const pngWithMetadata = await buildPersonaExport(persona, options[`persona_spec_${personaId}`] || 'both');
 
         // Check if we need to export with lorebook as ZIP
         const shouldIncludeLorebook = persona.hasLorebook && options[`persona_lorebook_${personaId}`] !== false;
@@ -923,13 +1680,18 @@ export async function exportSinglePersona(personaId, options = {}) {
             console.log(`[${MODULE_NAME}] Exporting persona with attached lorebook: ${persona.lorebookName}`);
 
             // Import JSZip and world-info
-            const { default: JSZip } = await import('../../../../scripts/lib/jszip.module.min.js');
+            const JSZip = await loadJSZip();
             const { loadWorldInfo } = await import('../../../world-info.js');
 
             const zip = new JSZip();
+            const manifest = createManifest('persona');
 
             // Add persona PNG to ZIP
-            zip.file(persona.avatar, pngWithMetadata);
+            const personaPath = addZipEntry({ zip, manifest }, toPNGFilename(persona.avatar), pngWithMetadata, {
+                type: 'persona',
+                id: persona.avatar,
+                name: persona.name
+            });
 
             // Load and add lorebook
             try {
@@ -937,7 +1699,12 @@ export async function exportSinglePersona(personaId, options = {}) {
                 if (lorebookData) {
                     const lorebookJson = JSON.stringify(lorebookData, null, 2);
                     const safeLorebookName = persona.lorebookName.replace(/[^a-zA-Z0-9_.\- ]/g, '_').replace(/\s+/g, '_');
-                    zip.file(`${safeLorebookName}.json`, lorebookJson);
+                    const lorebookPath = addZipEntry({ zip, manifest }, `${safeLorebookName}.json`, lorebookJson, {
+                        type: 'lorebook',
+                        id: persona.lorebookName,
+                        name: persona.lorebookName
+                    });
+                    addManifestRelation(manifest, personaPath, lorebookPath, 'lorebook');
                     console.log(`[${MODULE_NAME}] ✓ Added lorebook to ZIP: ${persona.lorebookName}`);
                 } else {
                     console.warn(`[${MODULE_NAME}] Lorebook not found: ${persona.lorebookName}`);
@@ -948,10 +1715,9 @@ export async function exportSinglePersona(personaId, options = {}) {
             }
 
             // Generate ZIP and download
-            const zipBlob = await zip.generateAsync({ type: 'blob' });
             const safePersonaName = persona.name.replace(/[^a-zA-Z0-9_.\- ]/g, '_').replace(/\s+/g, '_');
             const zipFilename = `${safePersonaName}_with_lorebook.zip`;
-            downloadBlob(zipBlob, zipFilename);
+            await downloadZip(zip, manifest, zipFilename);
 
             console.log(`[${MODULE_NAME}] Successfully exported persona with lorebook: ${zipFilename}`);
             toastr.success(`Exported ${persona.name} with lorebook`, 'RoleOut');
@@ -959,7 +1725,7 @@ export async function exportSinglePersona(personaId, options = {}) {
         } else {
             // Download as standalone PNG file
             const blob = new Blob([pngWithMetadata], { type: 'image/png' });
-            const filename = persona.avatar; // Keep original filename
+            const filename = toPNGFilename(persona.avatar); // Keep original name; converted avatars become .png
             downloadBlob(blob, filename);
 
             console.log(`[${MODULE_NAME}] Successfully exported persona: ${filename}`);
@@ -976,37 +1742,30 @@ export async function exportSinglePersona(personaId, options = {}) {
 
 /**
  * Export personas as ZIP file containing PNG files with embedded metadata
- * @param {number[]} personaIds - Array of persona IDs
- * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array}>}
+ * @param {Array<{id: number, cardSpec: string}>} personaExports - Personas with their card format ('v2', 'v3' or 'both')
+ * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array, cancelled?: boolean}>}
  */
-export async function exportPersonasAsZip(personaIds) {
-    let progressToast = null;
+export async function exportPersonasAsZip(personaExports) {
+    let run = null;
 
     try {
-        console.log(`[${MODULE_NAME}] Batch export: ${personaIds.length} personas`);
+        console.log(`[${MODULE_NAME}] Batch export: ${personaExports.length} personas`);
 
-        if (personaIds.length === 0) {
+        if (personaExports.length === 0) {
             throw new Error('No personas selected for export');
         }
 
-        // Show progress toast
-        progressToast = toastr.info(
-            `Preparing ${personaIds.length} persona${personaIds.length > 1 ? 's' : ''}...`,
-            'RoleOut',
-            { timeOut: 0, extendedTimeOut: 0 }
-        );
+        const personas = getPersonaList();
+        run = startExportRun('Personas', personaExports, ({ id }) => personas.find(p => p.id === id)?.name || `Persona ${id}`,
+            failed => exportPersonasAsZip(failed));
 
         // Load JSZip
         const JSZip = await loadJSZip();
         const zip = new JSZip();
-
-        const personas = getPersonaList();
-        let exported = 0;
-        let failed = 0;
-        const errors = [];
+        const manifest = createManifest('personas');
 
         // Export each persona
-        for (const id of personaIds) {
+        const results = await runWithConcurrencyLimit(personaExports, async ({ id, cardSpec }, context) => {
             try {
                 const persona = personas.find(p => p.id === id);
                 if (!persona) {
@@ -1017,31 +1776,14 @@ export async function exportPersonasAsZip(personaIds) {
                     throw new Error(`Persona ${persona.name} has no avatar`);
                 }
 
-                // Fetch avatar image
-                const avatarResponse = await fetch(`/User Avatars/${persona.avatar}`);
-                if (!avatarResponse.ok) {
-                    throw new Error(`Failed to fetch avatar: ${avatarResponse.statusText}`);
-                }
-
-                const avatarBlob = await avatarResponse.blob();
-                const avatarBuffer = await avatarBlob.arrayBuffer();
-                const pngData = new Uint8Array(avatarBuffer);
-
-                // Create persona metadata
-                const personaMetadata = {
-                    name: persona.name,
-                    description: persona.description || '',
-                    title: persona.title || '',
-                    isDefault: persona.isDefault,
-                    exportedAt: new Date().toISOString(),
-                    exportedBy: 'RoleOut'
-                };
-
-                // Embed metadata into PNG
-                const pngWithMetadata = embedMetadataInPNG(pngData, 'persona', personaMetadata);
+                const pngWithMetadata = await buildPersonaExport(persona, cardSpec, context);
 
                 // Add PNG to ZIP
-                zip.file(persona.avatar, pngWithMetadata);
+                const personaPath = addZipEntry({ zip, manifest, files: context.files }, toPNGFilename(persona.avatar), pngWithMetadata, {
+                    type: 'persona',
+                    id: persona.avatar,
+                    name: persona.name
+                });
 
                 // If persona has attached lorebook, add it to ZIP
                 if (persona.hasLorebook && persona.lorebookName) {
@@ -1052,7 +1794,12 @@ export async function exportPersonasAsZip(personaIds) {
                             const lorebookJson = JSON.stringify(lorebookData, null, 2);
                             const safeLorebookName = persona.lorebookName.replace(/[^a-zA-Z0-9_.\- ]/g, '_').replace(/\s+/g, '_');
                             const safePersonaName = persona.name.replace(/[^a-zA-Z0-9_.\- ]/g, '_').replace(/\s+/g, '_');
-                            zip.file(`${safePersonaName}/${safeLorebookName}.json`, lorebookJson);
+                            const lorebookPath = addZipEntry({ zip, manifest, files: context.files }, `${safePersonaName}/${safeLorebookName}.json`, lorebookJson, {
+                                type: 'lorebook',
+                                id: persona.lorebookName,
+                                name: persona.lorebookName
+                            });
+                            addManifestRelation(manifest, personaPath, lorebookPath, 'lorebook');
                             console.log(`[${MODULE_NAME}] ✓ Added lorebook for ${persona.name}: ${persona.lorebookName}`);
                         }
                     } catch (lorebookError) {
@@ -1061,33 +1808,28 @@ export async function exportPersonasAsZip(personaIds) {
                     }
                 }
 
-                exported++;
-                console.log(`[${MODULE_NAME}] Added persona: ${persona.name} (${exported}/${personaIds.length})`);
+                console.log(`[${MODULE_NAME}] Added persona: ${persona.name}`);
+                return { success: true };
 
             } catch (error) {
-                failed++;
-                const errorMsg = `Persona ${id}: ${error.message}`;
-                errors.push(errorMsg);
-                console.warn(`[${MODULE_NAME}] ${errorMsg}`);
+                return { success: false, error: `Persona ${id}: ${error.message}` };
             }
-        }
+        }, run);
+
+        const errors = results.filter(result => !result.success).map(result => result.error);
+        const failed = errors.length;
+        const exported = results.length - failed;
+        errors.forEach(errorMsg => console.warn(`[${MODULE_NAME}] ${errorMsg}`));
 
+        run.signal.throwIfAborted();
         if (exported === 0) {
             throw new Error('No personas were exported successfully');
         }
 
-        // Generate ZIP file
-        if (progressToast) {
-            toastr.clear(progressToast);
-        }
-        progressToast = toastr.info('Creating ZIP file...', 'RoleOut', { timeOut: 0, extendedTimeOut: 0 });
-
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
-
         // Download ZIP
         const timestamp = getTimestampForFilename();
         const zipFilename = `RoleOut_Personas_${timestamp}.zip`;
-        downloadBlob(zipBlob, zipFilename);
+        await downloadBatchZip(run, zip, manifest, zipFilename);
 
         console.log(`[${MODULE_NAME}] Successfully created ${zipFilename} (${exported} personas)`);
 
@@ -1101,13 +1843,512 @@ export async function exportPersonasAsZip(personaIds) {
         return { success: true, exported, failed, errors: failed > 0 ? errors : undefined };
 
     } catch (error) {
-        console.error(`[${MODULE_NAME}] Batch persona export failed:`, error);
-        toastr.error(`Batch export failed: ${error.message}`, 'RoleOut');
-        return { success: false, exported: 0, failed: personaIds.length, errors: [error.message] };
-    } finally {
-        // Always clear progress toast
-        if (progressToast) {
-            toastr.clear(progressToast);
+        const cancelled = reportBatchFailure(run, error, 'Batch export');
+        return { success: false, exported: 0, failed: personaExports.length, errors: [cancelled ? 'Cancelled' : error.message], cancelled };
+    }
+}
+
+/**
+ * Build a RoleCall-ready preset JSON file from ST's openai_settings
+ * Uses ST's native preset access pattern (same as openai.js onExportPresetClick)
+ * @param {string} presetName - Preset name (key in openai_setting_names)
+ * @param {boolean} includeConfiguration - Keep prompt_order (enabled/disabled prompts and their ordering)
+ * @returns {Promise<{filename: string, json: string}>}
+ */
+async function buildPresetExport(presetName, includeConfiguration) {
+    // Import ST's native preset settings (same approach as openai.js)
+    const { openai_settings, openai_setting_names, oai_settings } = await import('../../../openai.js');
+
+    if (openai_setting_names[presetName] === undefined) {
+        throw new Error(`Preset "${presetName}" not found in openai_setting_names`);
+    }
+
+    // Get the preset data using ST's native storage structure
+    const settingIndex = openai_setting_names[presetName];
+    const presetData = openai_settings[settingIndex];
+
+    if (!presetData) {
+        throw new Error(`Preset data not found at index ${settingIndex}`);
+    }
+
+    // Clone the preset to avoid modifying the original
+    const presetClone = structuredClone(presetData);
+
+    // Add the preset name to the exported JSON (RoleCall needs this for import)
+    presetClone.name = presetName;
+
+    if (!includeConfiguration) {
+        delete presetClone.prompt_order;
+    } else if (oai_settings?.preset_settings_openai === presetName && Array.isArray(oai_settings.prompt_order)) {
+        // Active preset: the live prompt manager state may have unsaved toggles
+        presetClone.prompt_order = structuredClone(oai_settings.prompt_order);
+    }
+
+    // ST's export format: JSON with 4-space indent (matches onExportPresetClick behavior)
+    return {
+        filename: `${getSafeName(presetName)}.json`,
+        json: JSON.stringify(presetClone, null, 4)
+    };
+}
+
+/**
+ * Export a single preset from SillyTavern as JSON
+ * @param {number} presetId - Preset ID (index in openai_settings, as returned by getPresetList())
+ * @param {Object} options - Export options (includeConfiguration)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function exportSinglePreset(presetId, options = {}) {
+    try {
+        console.log(`[${MODULE_NAME}] Exporting preset: ${presetId}`, 'with options:', options);
+
+        const preset = getPresetList().find(p => p.id === presetId);
+        if (!preset) {
+            throw new Error('Preset not found');
+        }
+
+        const { filename, json } = await buildPresetExport(preset.name, options.includeConfiguration === true);
+
+        const blob = new Blob([json], { type: 'application/json' });
+        downloadBlob(blob, filename);
+
+        console.log(`[${MODULE_NAME}] Successfully exported preset: ${filename}`);
+        toastr.success(`Exported ${preset.name}`, 'RoleOut');
+        return { success: true };
+
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Preset export failed:`, error);
+        toastr.error(`Failed to export preset: ${error.message}`, 'RoleOut');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Export presets as ZIP file containing one JSON file per preset
+ * @param {Array<{id: number, includeConfiguration: boolean}>} presetExports - Array of preset export configs
+ * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array, cancelled?: boolean}>}
+ */
+export async function exportPresetsAsZip(presetExports) {
+    let run = null;
+
+    try {
+        console.log(`[${MODULE_NAME}] Batch export: ${presetExports.length} presets`);
+
+        if (presetExports.length === 0) {
+            throw new Error('No presets selected for export');
+        }
+
+        const presets = getPresetList();
+        run = startExportRun('Presets', presetExports, ({ id }) => presets.find(p => p.id === id)?.name || `Preset ${id}`,
+            failed => exportPresetsAsZip(failed));
+
+        // Load JSZip
+        const JSZip = await loadJSZip();
+        const zip = new JSZip();
+        const manifest = createManifest('presets');
+
+        const results = await runWithConcurrencyLimit(presetExports, async ({ id, includeConfiguration }, { files }) => {
+            try {
+                const preset = presets.find(p => p.id === id);
+                if (!preset) {
+                    throw new Error(`Preset ${id} not found`);
+                }
+
+                const { filename, json } = await buildPresetExport(preset.name, includeConfiguration === true);
+                addZipEntry({ zip, manifest, files }, filename, json, { type: 'preset', id: preset.name, name: preset.name });
+
+                console.log(`[${MODULE_NAME}] Added preset: ${preset.name}`);
+                return { success: true };
+
+            } catch (error) {
+                return { success: false, error: `Preset ${id}: ${error.message}` };
+            }
+        }, run);
+
+        const errors = results.filter(result => !result.success).map(result => result.error);
+        const failed = errors.length;
+        const exported = results.length - failed;
+        errors.forEach(errorMsg => console.warn(`[${MODULE_NAME}] ${errorMsg}`));
+
+        run.signal.throwIfAborted();
+        if (exported === 0) {
+            throw new Error('No presets were exported successfully');
+        }
+
+        // Download ZIP
+        const timestamp = getTimestampForFilename();
+        const zipFilename = `RoleOut_Presets_${timestamp}.zip`;
+        await downloadBatchZip(run, zip, manifest, zipFilename);
+
+        console.log(`[${MODULE_NAME}] Successfully created ${zipFilename} (${exported} presets)`);
+
+        // Show success message with details
+        const message = failed > 0
+            ? `Exported ${exported} preset${exported > 1 ? 's' : ''} (${failed} failed)`
+            : `Exported ${exported} preset${exported > 1 ? 's' : ''}`;
+
+        toastr.success(message, zipFilename, { timeOut: 5000 });
+
+        return { success: true, exported, failed, errors: failed > 0 ? errors : undefined };
+
+    } catch (error) {
+        const cancelled = reportBatchFailure(run, error, 'Batch export');
+        return { success: false, exported: 0, failed: presetExports.length, errors: [cancelled ? 'Cancelled' : error.message], cancelled };
+    }
+}
+
+/**
+ * Build a lorebook JSON file (full SillyTavern world info format)
+ * @param {string} lorebookName - Lorebook name (entry in world_names)
+ * @returns {Promise<{filename: string, json: string}>}
+ */
+async function buildLorebookExport(lorebookName) {
+    const { loadWorldInfo } = await import('../../../world-info.js');
+
+    // Load lorebook data from SillyTavern
+    const lorebookData = await loadWorldInfo(lorebookName);
+
+    if (!lorebookData) {
+        throw new Error(`Lorebook not found: ${lorebookName}`);
+    }
+
+    return {
+        filename: `${getSafeName(lorebookName)}.json`,
+        json: JSON.stringify(lorebookData, null, 2)
+    };
+}
+
+/**
+ * Export a single lorebook from SillyTavern as JSON
+ * @param {number} lorebookId - Lorebook ID (index in getLorebookList())
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function exportSingleLorebook(lorebookId) {
+    try {
+        console.log(`[${MODULE_NAME}] Exporting lorebook: ${lorebookId}`);
+
+        const lorebook = getLorebookList().find(l => l.id === lorebookId);
+        if (!lorebook) {
+            throw new Error('Lorebook not found');
+        }
+
+        const { filename, json } = await buildLorebookExport(lorebook.name);
+
+        const blob = new Blob([json], { type: 'application/json' });
+        downloadBlob(blob, filename);
+
+        console.log(`[${MODULE_NAME}] Successfully exported lorebook: ${filename}`);
+        toastr.success(`Exported ${lorebook.name}`, 'RoleOut');
+        return { success: true };
+
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Lorebook export failed:`, error);
+        toastr.error(`Failed to export lorebook: ${error.message}`, 'RoleOut');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Export lorebooks as ZIP file containing one JSON file per lorebook
+ * @param {number[]} lorebookIds - Array of lorebook IDs
+ * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array, cancelled?: boolean}>}
+ */
+export async function exportLorebooksAsZip(lorebookIds) {
+    let run = null;
+
+    try {
+        console.log(`[${MODULE_NAME}] Batch export: ${lorebookIds.length} lorebooks`);
+
+        const allLorebooks = getLorebookList();
+        const lorebooksToExport = lorebookIds
+            .map(id => allLorebooks.find(l => l.id === id))
+            .filter(Boolean); // Remove any undefined entries
+        const unresolved = lorebookIds
+            .filter(id => !allLorebooks.some(l => l.id === id))
+            .map(id => ({ name: `Lorebook ${id}`, error: 'Lorebook not found' }));
+
+        if (lorebooksToExport.length === 0) {
+            throw new Error('No valid lorebooks found to export');
         }
+
+        run = startExportRun('Lorebooks', lorebooksToExport, lorebook => lorebook.name,
+            failed => exportLorebooksAsZip(failed.map(lorebook => lorebook.id)));
+
+        // Load JSZip
+        const JSZip = await loadJSZip();
+        const zip = new JSZip();
+        const manifest = createManifest('lorebooks');
+
+        // Load lorebooks with concurrency control
+        const results = await runWithConcurrencyLimit(lorebooksToExport, async (lorebook, { files }) => {
+            try {
+                const { filename, json } = await buildLorebookExport(lorebook.name);
+                addZipEntry({ zip, manifest, files }, filename, json, {
+                    type: 'lorebook',
+                    id: lorebook.name,
+                    name: lorebook.name
+                });
+                console.log(`[${MODULE_NAME}] Added ${filename} to ZIP`);
+                return { success: true, lorebook };
+            } catch (error) {
+                console.error(`[${MODULE_NAME}] Failed to export lorebook ${lorebook.name}:`, error);
+                return { success: false, lorebook, error: error.message };
+            }
+        }, run);
+
+        const errors = results
+            .filter(result => !result.success)
+            .map(result => `${result.lorebook.name}: ${result.error || 'Unknown error'}`);
+        const failed = errors.length;
+        const exported = results.length - failed;
+
+        run.signal.throwIfAborted();
+        if (exported === 0) {
+            throw new Error('No lorebooks were exported successfully');
+        }
+
+        // Download ZIP
+        const timestamp = getTimestampForFilename();
+        const zipFilename = `RoleOut_Lorebooks_${timestamp}.zip`;
+        await downloadBatchZip(run, zip, manifest, zipFilename, unresolved);
+
+        console.log(`[${MODULE_NAME}] Successfully created ${zipFilename} (${exported} lorebooks)`);
+
+        // Show success message with details
+        const message = failed > 0
+            ? `Exported ${exported} lorebook${exported > 1 ? 's' : ''} (${failed} failed)`
+            : `Exported ${exported} lorebook${exported > 1 ? 's' : ''}`;
+
+        toastr.success(message, zipFilename, { timeOut: 5000 });
+
+        // Report each failure by name so large batches can be re-run selectively
+        if (failed > 0) {
+            toastr.warning(errors.join('; '), `${failed} lorebook${failed > 1 ? 's' : ''} failed`, { timeOut: 0, extendedTimeOut: 0, closeButton: true });
+        }
+
+        return { success: true, exported, failed, errors: failed > 0 ? errors : undefined };
+
+    } catch (error) {
+        const cancelled = reportBatchFailure(run, error, 'Batch export');
+        return { success: false, exported: 0, failed: lorebookIds.length, errors: [cancelled ? 'Cancelled' : error.message], cancelled };
+    }
+}
+
+/**
+ * Export every character, chat, preset, lorebook and persona into one archive
+ * Layout: characters/, chats/<character or group>/, groups/, presets/, lorebooks/, personas/
+ * Chats are linked to their characters (and groups to their members) in manifest.json
+ * @param {Object} [options]
+ * @param {Set<string>} [options.only] - Keys of the jobs to run (Retry failed); everything when omitted
+ * @returns {Promise<{success: boolean, exported: number, failed: number, errors?: Array, cancelled?: boolean}>}
+ */
+export async function exportEntireLibrary(options = {}) {
+    let run = null;
+
+    try {
+        const characters = getCharacterList();
+        const chats = await getChatList();
+        const presets = getPresetList();
+        const lorebooks = getLorebookList();
+        const personas = getPersonaList();
+
+        console.log(`[${MODULE_NAME}] Library export: ${characters.length} characters, ${chats.length} chats, ${presets.length} presets, ${lorebooks.length} lorebooks, ${personas.length} personas`);
+
+        const JSZip = await loadJSZip();
+        const zip = new JSZip();
+        const manifest = createManifest('library');
+
+        // Character paths are fixed (and made unique) up front so chats can link to them whatever order jobs finish in
+        const characterPaths = new Map(); // Character ID -> path
+        const characterIds = new Map(); // Avatar -> character ID
+        const usedPaths = new Set();
+        for (const character of characters) {
+            const format = character.avatar ? 'png' : 'json';
+            const path = getUniquePath(`characters/${getSafeFilename(character.avatar || character.name, format)}`, candidate => usedPaths.has(candidate));
+            usedPaths.add(path);
+            characterPaths.set(character.id, path);
+            if (character.avatar) {
+                characterIds.set(character.avatar, character.id);
+            }
+        }
+        const getCharacterPath = avatar => characterPaths.get(characterIds.get(avatar));
+
+        const jobs = [];
+
+        for (const character of characters) {
+            jobs.push({
+                key: `character:${character.avatar}`,
+                label: character.name,
+                run: async (context) => {
+                    const format = character.avatar ? 'png' : 'json';
+                    const { blob } = await buildCharacterExport(character, format, FULL_CARD_OPTIONS, context);
+                    addZipEntry(context.target, characterPaths.get(character.id), blob, {
+                        type: 'character',
+                        id: character.avatar,
+                        name: character.name
+                    });
+                }
+            });
+        }
+
+        // Group settings, once per group that has chats
+        const groupPaths = new Map();
+        for (const groupId of new Set(chats.filter(chat => chat.group).map(chat => chat.group))) {
+            const groupData = getGroupData(groupId);
+            if (!groupData) {
+                continue;
+            }
+
+            const groupPath = getUniquePath(`groups/${getSafeName(groupData.group.name || groupId)}.json`, candidate => usedPaths.has(candidate));
+            usedPaths.add(groupPath);
+            groupPaths.set(groupId, { path: groupPath, groupData });
+
+            jobs.push({
+                key: `group:${groupId}`,
+                label: groupData.group.name,
+                run: async ({ target }) => {
+                    addZipEntry(target, groupPath, JSON.stringify(buildGroupMetadata(groupData), null, 4), {
+                        type: 'group',
+                        id: groupId,
+                        name: groupData.group.name
+                    });
+                    for (const member of groupData.members) {
+                        addManifestRelation(manifest, groupPath, getCharacterPath(member.avatar), 'member');
+                    }
+                }
+            });
+        }
+
+        for (const chat of chats) {
+            const group = chat.group ? groupPaths.get(chat.group) : null;
+            const folder = group
+                ? getSafeName(group.groupData.group.name || chat.group)
+                : (chat.avatar ? getSafeName(chat.avatar.replace(/\.[^.]+$/, '')) : 'unknown');
+
+            jobs.push({
+                key: `chat:${chat.group || chat.avatar}/${chat.file_name}`,
+                label: chat.name,
+                run: async ({ signal, target }) => {
+                    const chatJsonl = await fetchChatJsonl(chat, signal);
+                    const chatPath = addZipEntry(target, `chats/${folder}/${getSafeFilename(chat.file_name, 'jsonl')}`, chatJsonl, {
+                        type: 'chat',
+                        id: chat.file_name,
+                        name: chat.name
+                    });
+
+                    if (group) {
+                        addManifestRelation(manifest, chatPath, group.path, 'group');
+                        for (const member of group.groupData.members) {
+                            addManifestRelation(manifest, chatPath, getCharacterPath(member.avatar), 'character');
+                        }
+                    } else if (getCharacterPath(chat.avatar)) {
+                        addManifestRelation(manifest, chatPath, getCharacterPath(chat.avatar), 'character');
+                    }
+                }
+            });
+        }
+
+        for (const preset of presets) {
+            jobs.push({
+                key: `preset:${preset.name}`,
+                label: preset.name,
+                run: async ({ target }) => {
+                    const { filename, json } = await buildPresetExport(preset.name, true);
+                    addZipEntry(target, `presets/${filename}`, json, { type: 'preset', id: preset.name, name: preset.name });
+                }
+            });
+        }
+
+        const lorebookPaths = new Map();
+        for (const lorebook of lorebooks) {
+            jobs.push({
+                key: `lorebook:${lorebook.name}`,
+                label: lorebook.name,
+                run: async ({ target }) => {
+                    const { filename, json } = await buildLorebookExport(lorebook.name);
+                    lorebookPaths.set(lorebook.name, addZipEntry(target, `lorebooks/${filename}`, json, {
+                        type: 'lorebook',
+                        id: lorebook.name,
+                        name: lorebook.name
+                    }));
+                }
+            });
+        }
+
+        const personaPaths = new Map();
+        for (const persona of personas) {
+            if (!persona.avatar) {
+                continue;
+            }
+
+            jobs.push({
+                key: `persona:${persona.avatar}`,
+                label: persona.name,
+                run: async (context) => {
+                    const pngWithMetadata = await buildPersonaExport(persona, 'both', context);
+                    personaPaths.set(persona, addZipEntry(context.target, `personas/${toPNGFilename(persona.avatar)}`, pngWithMetadata, {
+                        type: 'persona',
+                        id: persona.avatar,
+                        name: persona.name
+                    }));
+                }
+            });
+        }
+
+        const selectedJobs = options.only ? jobs.filter(job => options.only.has(job.key)) : jobs;
+        if (selectedJobs.length === 0) {
+            throw new Error('Nothing to export');
+        }
+
+        run = startExportRun('Library', selectedJobs, job => job.label,
+            failed => exportEntireLibrary({ only: new Set(failed.map(job => job.key)) }));
+
+        const results = await runWithConcurrencyLimit(selectedJobs, async (job, context) => {
+            try {
+                // Each job writes through its own target so the export report can attribute files to it
+                await job.run({ ...context, target: { zip, manifest, files: context.files } });
+                return { success: true, job };
+            } catch (error) {
+                console.warn(`[${MODULE_NAME}] Library export failed for ${job.label}:`, error);
+                return { success: false, job, error: error.message };
+            }
+        }, run);
+
+        // Persona-linked lorebooks are only known once both sides have been written
+        for (const [persona, personaPath] of personaPaths) {
+            if (persona.hasLorebook && lorebookPaths.has(persona.lorebookName)) {
+                addManifestRelation(manifest, personaPath, lorebookPaths.get(persona.lorebookName), 'lorebook');
+            }
+        }
+
+        const failures = results.filter(result => !result.success);
+        const errors = failures.map(result => `${result.job.label}: ${result.error || 'Unknown error'}`);
+        const exported = results.length - failures.length;
+
+        run.signal.throwIfAborted();
+        if (exported === 0) {
+            throw new Error('No items were exported successfully');
+        }
+
+        const timestamp = getTimestampForFilename();
+        const zipFilename = `RoleOut_Library_${timestamp}.zip`;
+        await downloadBatchZip(run, zip, manifest, zipFilename);
+
+        console.log(`[${MODULE_NAME}] Successfully created ${zipFilename} (${exported}/${selectedJobs.length} items)`);
+
+        const message = failures.length > 0
+            ? `Exported ${exported} items (${failures.length} failed)`
+            : `Exported ${exported} items`;
+
+        toastr.success(message, zipFilename, { timeOut: 5000 });
+
+        if (failures.length > 0) {
+            toastr.warning(errors.join('; '), `${failures.length} item${failures.length > 1 ? 's' : ''} failed`, { timeOut: 0, extendedTimeOut: 0, closeButton: true });
+        }
+
+        return { success: true, exported, failed: failures.length, errors: failures.length > 0 ? errors : undefined };
+
+    } catch (error) {
+        const cancelled = reportBatchFailure(run, error, 'Library export');
+        return { success: false, exported: 0, failed: 0, errors: [cancelled ? 'Cancelled' : error.message], cancelled };
     }
 }
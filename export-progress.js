@@ -0,0 +1,137 @@
+/**
+ * Export Progress - State of the running batch export
+ * Separated concern: Progress tracking, cancellation and retry for batch exports
+ *
+ * export-manager reports item states here; the UI subscribes with
+ * onExportProgress() and renders the progress panel. The panel follows the
+ * most recently started run.
+ */
+
+const MODULE_NAME = 'RoleOut-Progress';
+
+// Item lifecycle: queued -> fetching -> (embedding) -> zipped, or failed at any point
+export const ITEM_STATES = ['queued', 'fetching', 'embedding', 'zipped', 'failed'];
+
+let currentRun = null;
+const listeners = new Set();
+
+/**
+ * Notify the UI that a run changed
+ * @param {Object} run - Export run
+ */
+function notify(run) {
+    for (const listener of listeners) {
+        try {
+            listener(run, run === currentRun);
+        } catch (error) {
+            console.error(`[${MODULE_NAME}] Progress listener failed:`, error);
+        }
+    }
+}
+
+/**
+ * Subscribe to progress updates
+ * @param {function(Object, boolean)} listener - Called with (run, isCurrent) on every change
+ */
+export function onExportProgress(listener) {
+    listeners.add(listener);
+}
+
+/**
+ * Start tracking a batch export; it becomes the run shown in the panel
+ * @param {string} title - What is being exported (e.g. 'Characters')
+ * @param {Array} items - Work items, in the order runWithConcurrencyLimit() receives them
+ * @param {function(*): string} getLabel - Display name of an item
+ * @param {function(Array): Promise} [retry] - Re-exports the given (failed) items
+ * @returns {Object} Export run
+ */
+export function startExportRun(title, items, getLabel, retry = null) {
+    const controller = new AbortController();
+
+    currentRun = {
+        title,
+        controller,
+        signal: controller.signal,
+        retry,
+        phase: 'running', // running -> zipping -> done | cancelled | error
+        zipPercent: 0,
+        items: items.map(item => ({ item, label: getLabel(item), state: 'queued', error: null, files: [], retries: [], notes: [] }))
+    };
+
+    notify(currentRun);
+    return currentRun;
+}
+
+/**
+ * Update one item's state
+ * @param {Object|null} run - Export run (null is ignored, for single exports)
+ * @param {number} index - Item index
+ * @param {string} state - One of ITEM_STATES
+ * @param {string} [error] - Failure reason
+ */
+export function setItemState(run, index, state, error = null) {
+    if (!run || !run.items[index]) {
+        return;
+    }
+
+    run.items[index].state = state;
+    run.items[index].error = error;
+    notify(run);
+}
+
+/**
+ * Move a run to its next phase
+ * @param {Object|null} run - Export run
+ * @param {string} phase - 'zipping', 'done', 'cancelled' or 'error'
+ * @param {number} [zipPercent] - ZIP progress while zipping
+ */
+export function setRunPhase(run, phase, zipPercent = 0) {
+    if (!run) {
+        return;
+    }
+
+    run.phase = phase;
+    run.zipPercent = zipPercent;
+    notify(run);
+}
+
+/**
+ * Cancel the current run; in-flight fetches are aborted
+ */
+export function cancelExportRun() {
+    if (currentRun && (currentRun.phase === 'running' || currentRun.phase === 'zipping')) {
+        console.log(`[${MODULE_NAME}] Cancelling ${currentRun.title} export`);
+        currentRun.controller.abort();
+    }
+}
+
+/**
+ * Re-export the items that failed (or were cancelled) in the current run
+ * @returns {Promise|null} The retry export, or null if there is nothing to retry
+ */
+export function retryFailedItems() {
+    if (!currentRun?.retry) {
+        return null;
+    }
+
+    const failed = currentRun.items.filter(entry => entry.state === 'failed').map(entry => entry.item);
+    if (failed.length === 0) {
+        return null;
+    }
+
+    console.log(`[${MODULE_NAME}] Retrying ${failed.length} failed ${currentRun.title.toLowerCase()}`);
+    return currentRun.retry(failed);
+}
+
+/**
+ * Count items per state
+ * @param {Object} run - Export run
+ * @returns {Object<string, number>}
+ */
+export function countItemStates(run) {
+    const counts = Object.fromEntries(ITEM_STATES.map(state => [state, 0]));
+    for (const entry of run.items) {
+        counts[entry.state]++;
+    }
+    return counts;
+}
@@ -0,0 +1,133 @@
+/**
+ * Export Report - Per-item outcome of a batch export, shipped inside the ZIP
+ * Separated concern: Failure triage for batch exports
+ *
+ * Built from the progress run once every item has finished: each requested
+ * item is listed with its outcome, the failure reason (and HTTP status when a
+ * request failed), the requests that needed retries, anything it left out and
+ * the files it wrote.
+ * export-report.json is for tools, export-report.txt for people.
+ */
+
+import { ROLEOUT_VERSION } from './bundle-manifest.js';
+
+export const REPORT_JSON_FILENAME = 'export-report.json';
+export const REPORT_TEXT_FILENAME = 'export-report.txt';
+
+/**
+ * Pull the HTTP status out of a failure reason
+ * RoleOut's fetch helpers all fail with "... HTTP <status>"
+ * @param {string|null} error - Failure reason
+ * @returns {number|null}
+ */
+function getHttpStatus(error) {
+    const match = error?.match(/\bHTTP (\d{3})\b/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Build the report for a finished run
+ * @param {Object} run - Progress run from startExportRun(); items carry the files they wrote
+ * @param {string} kind - Archive kind (same as the manifest's)
+ * @param {Array<{name: string, error: string}>} [unresolved] - Requested items that never made it into the run (e.g. deleted since selection)
+ * @returns {Object} Report JSON
+ */
+export function buildExportReport(run, kind, unresolved = []) {
+    const items = run.items.map(entry => {
+        const files = entry.files || [];
+        return {
+            name: entry.label,
+            status: entry.state === 'zipped' ? 'exported' : 'failed',
+            error: entry.error,
+            httpStatus: getHttpStatus(entry.error),
+            retries: entry.retries || [],
+            notes: entry.notes || [],
+            files,
+            bytes: files.reduce((sum, file) => sum + file.bytes, 0)
+        };
+    });
+
+    for (const { name, error } of unresolved) {
+        items.push({ name, status: 'failed', error, httpStatus: null, retries: [], notes: [], files: [], bytes: 0 });
+    }
+
+    const exported = items.filter(item => item.status === 'exported').length;
+
+    return {
+        generator: {
+            name: 'RoleOut',
+            version: ROLEOUT_VERSION
+        },
+        kind,
+        title: run.title,
+        createdAt: new Date().toISOString(),
+        summary: {
+            requested: items.length,
+            exported,
+            failed: items.length - exported,
+            retried: items.filter(item => item.retries.length > 0).length,
+            bytes: items.reduce((sum, item) => sum + item.bytes, 0)
+        },
+        items
+    };
+}
+
+/**
+ * @param {Object} item - Report item
+ * @returns {string[]} One line per request that needed retries
+ */
+function formatRetries(item) {
+    return item.retries.map(retry => `      retried: ${retry.url} - ${retry.attempts} attempts, ${retry.outcome}`);
+}
+
+/**
+ * @param {Object} item - Report item
+ * @returns {string[]} One line per note (something the item left out)
+ */
+function formatNotes(item) {
+    return item.notes.map(note => `      note: ${note}`);
+}
+
+/**
+ * Render a report as plain text, failures first
+ * @param {Object} report - Report from buildExportReport()
+ * @returns {string}
+ */
+export function formatExportReport(report) {
+    const { summary } = report;
+    const lines = [
+        `RoleOut ${report.generator.version} - ${report.title} export report`,
+        `Created: ${report.createdAt}`,
+        `Requested: ${summary.requested}  Exported: ${summary.exported}  Failed: ${summary.failed}  Retried: ${summary.retried}  Bytes written: ${summary.bytes}`,
+        ''
+    ];
+
+    const failed = report.items.filter(item => item.status === 'failed');
+    if (failed.length > 0) {
+        lines.push(`FAILED (${failed.length})`);
+        for (const item of failed) {
+            const status = item.httpStatus ? ` [HTTP ${item.httpStatus}]` : '';
+            lines.push(`  ✗ ${item.name}${status}: ${item.error || 'Unknown error'}`);
+            lines.push(...formatRetries(item), ...formatNotes(item));
+            for (const file of item.files) {
+                lines.push(`      partial: ${file.path} (${file.bytes} bytes)`);
+            }
+        }
+        lines.push('');
+    }
+
+    const exported = report.items.filter(item => item.status === 'exported');
+    if (exported.length > 0) {
+        lines.push(`EXPORTED (${exported.length})`);
+        for (const item of exported) {
+            lines.push(`  ✓ ${item.name} (${item.bytes} bytes)`);
+            lines.push(...formatRetries(item), ...formatNotes(item));
+            for (const file of item.files) {
+                lines.push(`      ${file.path} (${file.bytes} bytes)`);
+            }
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
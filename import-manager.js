@@ -0,0 +1,721 @@
+/**
+ * Import Manager - Restores RoleOut/RoleCall exports into SillyTavern
+ * Separated concern: Import business logic
+ */
+
+import { getRequestHeaders, getCharacters, characters, saveSettingsDebounced } from '../../../../script.js';
+import { power_user } from '../../../power-user.js';
+import { embedMetadataInPNG, extractMetadataFromPNG, listPNGMetadata, validatePNG } from './png-metadata.js';
+import { loadJSZip } from './export-manager.js';
+import { MANIFEST_FILENAME } from './bundle-manifest.js';
+import { REPORT_JSON_FILENAME, REPORT_TEXT_FILENAME } from './export-report.js';
+import { getChatList } from './data-providers.js';
+
+const MODULE_NAME = 'RoleOut-Import';
+
+// Order matters: chats are restored last so they can attach to characters imported in the same run
+const IMPORT_ORDER = ['character', 'persona', 'preset', 'lorebook', 'chat'];
+
+/**
+ * Request headers for multipart uploads (browser sets the multipart boundary itself)
+ * @returns {Object}
+ */
+function getUploadHeaders() {
+    const headers = getRequestHeaders();
+    delete headers['Content-Type'];
+    return headers;
+}
+
+/**
+ * Get the file extension (lowercase, without dot)
+ * @param {string} path - File path or name
+ * @returns {string}
+ */
+function getExtension(path) {
+    const match = /\.([^./\\]+)$/.exec(path);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Get the last path segment
+ * @param {string} path - File path inside a ZIP or a plain file name
+ * @returns {string}
+ */
+function getBaseName(path) {
+    return path.split('/').pop();
+}
+
+/**
+ * Check whether parsed JSON looks like a character card (V1, V2 or V3)
+ * @param {Object} json - Parsed JSON
+ * @returns {boolean}
+ */
+function isCharacterCard(json) {
+    return !!json && (
+        (typeof json.spec === 'string' && json.spec.startsWith('chara_card')) ||
+        (typeof json.data?.name === 'string' && json.data?.first_mes !== undefined) ||
+        (typeof json.name === 'string' && json.first_mes !== undefined)
+    );
+}
+
+/**
+ * Check whether parsed JSON looks like an ST world info file
+ * @param {Object} json - Parsed JSON
+ * @returns {boolean}
+ */
+function isLorebook(json) {
+    return !!json && typeof json.entries === 'object' && json.entries !== null && !isCharacterCard(json);
+}
+
+/**
+ * Check whether parsed JSON looks like a chat completion preset
+ * @param {Object} json - Parsed JSON
+ * @returns {boolean}
+ */
+function isPreset(json) {
+    return !!json && (Array.isArray(json.prompts) || Array.isArray(json.prompt_order) || json.openai_max_context !== undefined);
+}
+
+/**
+ * Check whether PNG metadata is a RoleOut persona rather than a character card
+ * Bundles store personas under the 'chara' keyword so RoleCall can read them
+ * @param {Object} metadata - Parsed 'chara' metadata
+ * @param {string} path - Path inside the archive
+ * @returns {boolean}
+ */
+function isPersonaMetadata(metadata, path) {
+    if (/(^|\/)persona\//.test(path)) {
+        return true;
+    }
+
+    return metadata?.exportedBy === 'RoleOut' && !metadata.spec && metadata.content !== undefined;
+}
+
+/**
+ * Re-encode card chunks stored as iTXt/zTXt as tEXt - SillyTavern's card parser only reads tEXt
+ * @param {Uint8Array} bytes - Character PNG
+ * @returns {Promise<Uint8Array>} PNG SillyTavern can import
+ */
+async function toTextChunkCard(bytes) {
+    let result = bytes;
+
+    for (const entry of await listPNGMetadata(bytes)) {
+        if (entry.type === 'tEXt' || (entry.keyword !== 'chara' && entry.keyword !== 'ccv3')) {
+            continue;
+        }
+
+        const metadata = await extractMetadataFromPNG(result, entry.keyword);
+        if (metadata) {
+            result = await embedMetadataInPNG(result, entry.keyword, metadata);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Classify one file into an import job
+ * Jobs only keep what classification needs (name, persona metadata, chat header);
+ * the file itself is read again when the job runs
+ * @param {string} path - File path (inside a ZIP, or the uploaded file name)
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<{type: string, path: string, name: string, metadata?: Object, json?: Object}|{type: 'skipped', path: string, reason: string}>}
+ */
+async function classifyFile(path, bytes) {
+    const extension = getExtension(path);
+
+    const isReport = [REPORT_JSON_FILENAME, REPORT_TEXT_FILENAME].some(report => path === report || path.endsWith(`/${report}`));
+    if (isReport) {
+        return { type: 'skipped', path, reason: 'RoleOut export report (nothing to import)' };
+    }
+
+    if (extension === 'png') {
+        // SillyTavern rejects PNGs with bad CRCs or truncated chunks, so catch them here with a clear reason
+        const validation = validatePNG(bytes);
+        if (!validation.valid) {
+            return { type: 'skipped', path, reason: `Corrupt PNG: ${validation.errors.join('; ')}` };
+        }
+
+        const personaMetadata = await extractMetadataFromPNG(bytes, 'persona');
+        if (personaMetadata) {
+            return { type: 'persona', path, name: personaMetadata.name || getBaseName(path), metadata: personaMetadata };
+        }
+
+        // V3-only exports carry just a 'ccv3' chunk
+        const charaMetadata = await extractMetadataFromPNG(bytes, 'chara') || await extractMetadataFromPNG(bytes, 'ccv3');
+        if (!charaMetadata) {
+            return { type: 'skipped', path, reason: 'PNG has no character or persona metadata' };
+        }
+
+        if (isPersonaMetadata(charaMetadata, path)) {
+            return { type: 'persona', path, name: charaMetadata.name || getBaseName(path), metadata: charaMetadata };
+        }
+
+        return { type: 'character', path, name: charaMetadata.data?.name || charaMetadata.name || getBaseName(path) };
+    }
+
+    // ST imports CHARX archives natively
+    if (extension === 'charx') {
+        return { type: 'character', path, name: getBaseName(path).replace(/\.charx$/i, '') };
+    }
+
+    if (extension === 'jsonl') {
+        const header = parseJsonlHeader(bytes);
+        return { type: 'chat', path, name: getBaseName(path), json: header };
+    }
+
+    if (extension === 'json') {
+        let json;
+        try {
+            json = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            return { type: 'skipped', path, reason: `Invalid JSON: ${error.message}` };
+        }
+
+        const name = getBaseName(path).replace(/\.json$/i, '');
+
+        if (path === MANIFEST_FILENAME || path.endsWith(`/${MANIFEST_FILENAME}`)) {
+            return { type: 'skipped', path, reason: 'RoleOut manifest (describes the archive, nothing to import)' };
+        }
+        if (/\.swipes\.json$/i.test(path)) {
+            return { type: 'skipped', path, reason: 'Alternate swipes sidecar (SillyTavern has no way to import it)' };
+        }
+        if (/(^|\/)group\//.test(path)) {
+            return { type: 'skipped', path, reason: 'Group settings are not restored (recreate the group in SillyTavern)' };
+        }
+        if (isCharacterCard(json)) {
+            return { type: 'character', path, name: json.data?.name || json.name || name };
+        }
+        if (isLorebook(json)) {
+            return { type: 'lorebook', path, name: json.name || name };
+        }
+        if (isPreset(json)) {
+            return { type: 'preset', path, name: json.name || name };
+        }
+
+        return { type: 'skipped', path, reason: 'Unrecognized JSON content' };
+    }
+
+    return { type: 'skipped', path, reason: `Unsupported file type: .${extension || '?'}` };
+}
+
+/**
+ * Parse the first line (chat header) of a JSONL chat file
+ * @param {Uint8Array} bytes - JSONL file contents
+ * @returns {Object|null} Header object or null
+ */
+function parseJsonlHeader(bytes) {
+    const text = new TextDecoder().decode(bytes);
+    const firstLine = text.split('\n', 1)[0];
+
+    try {
+        return JSON.parse(firstLine);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Expand uploaded files (and nested ZIPs) into classified import jobs
+ * Each file is read once to classify it and again when its job runs, so a large
+ * bundle never has all of its entries in memory at the same time
+ * @param {File[]} files - Files chosen by the user
+ * @returns {Promise<Array<Object>>} Import jobs, each with a read() for its bytes
+ */
+async function collectImportJobs(files) {
+    const jobs = [];
+
+    const visit = async (path, read) => {
+        if (getExtension(path) === 'zip') {
+            const JSZip = await loadJSZip();
+            const zip = await JSZip.loadAsync(await read());
+            const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+            for (const entry of entries) {
+                // Nested bundles (batch exports) are expanded with their folder prefix kept
+                await visit(`${path.replace(/\.zip$/i, '')}/${entry.name}`, () => entry.async('uint8array'));
+            }
+            return;
+        }
+
+        try {
+            const job = await classifyFile(path, await read());
+            if (job.type !== 'skipped') {
+                job.read = read;
+            }
+            jobs.push(job);
+        } catch (error) {
+            jobs.push({ type: 'skipped', path, reason: error.message });
+        }
+    };
+
+    for (const file of files) {
+        await visit(file.name, async () => new Uint8Array(await file.arrayBuffer()));
+    }
+
+    return jobs;
+}
+
+/**
+ * Read a job's file and parse it as JSON
+ * @param {Object} job - Import job
+ * @returns {Promise<Object>}
+ */
+async function readJobJson(job) {
+    return JSON.parse(new TextDecoder().decode(await job.read()));
+}
+
+/**
+ * Read the card JSON out of a character file, for overwriting an existing character
+ * @param {Object} job - Import job
+ * @param {Uint8Array} bytes - Character PNG, JSON or CHARX
+ * @returns {Promise<Object>} Card object
+ */
+async function readCharacterCard(job, bytes) {
+    const extension = getExtension(job.path);
+
+    if (extension === 'png') {
+        const card = await extractMetadataFromPNG(bytes, 'chara') || await extractMetadataFromPNG(bytes, 'ccv3');
+        if (!card) {
+            throw new Error('PNG has no character metadata');
+        }
+        return card;
+    }
+
+    if (extension === 'charx') {
+        const JSZip = await loadJSZip();
+        const cardFile = (await JSZip.loadAsync(bytes)).file('card.json');
+        if (!cardFile) {
+            throw new Error('CHARX archive has no card.json');
+        }
+        return JSON.parse(await cardFile.async('string'));
+    }
+
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Find the SillyTavern item an import job would duplicate
+ * Characters and personas match by avatar filename first, then by name; presets and lorebooks by name
+ * @param {Object} job - Import job
+ * @returns {Promise<string|null>} Avatar filename or name of the existing item
+ */
+async function findExistingItem(job) {
+    const baseName = getBaseName(job.path);
+
+    switch (job.type) {
+        case 'character': {
+            const avatar = baseName.replace(/\.(json|charx)$/i, '.png');
+            const match = characters.find(c => c.avatar === avatar && c.name === job.name)
+                || characters.find(c => c.name === job.name);
+            return match?.avatar || null;
+        }
+        case 'persona': {
+            const personas = power_user.personas || {};
+            if (personas[baseName] !== undefined) {
+                return baseName;
+            }
+            const name = job.metadata?.name || job.name;
+            return Object.keys(personas).find(avatar => personas[avatar] === name) || null;
+        }
+        case 'preset': {
+            const { openai_setting_names } = await import('../../../openai.js');
+            return openai_setting_names && openai_setting_names[job.name] !== undefined ? job.name : null;
+        }
+        case 'lorebook': {
+            const { world_names } = await import('../../../world-info.js');
+            return Array.isArray(world_names) && world_names.includes(job.name) ? job.name : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Import a character card (PNG, JSON or CHARX) through ST's import endpoint
+ * @param {Object} job - Import job
+ * @param {string|null} existing - Avatar of the character to overwrite, or null to add a new one
+ * @returns {Promise<string>} Avatar filename of the imported character
+ */
+async function importCharacter(job, existing) {
+    const extension = getExtension(job.path);
+    let bytes = await job.read();
+
+    // ST's import endpoint always adds a new character, so overwriting merges the card into the existing one instead
+    if (existing) {
+        const card = await readCharacterCard(job, bytes);
+
+        const response = await fetch('/api/characters/merge-attributes', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ ...card, avatar: existing })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return existing;
+    }
+
+    if (extension === 'png') {
+        bytes = await toTextChunkCard(bytes);
+    }
+
+    const mimeTypes = { png: 'image/png', charx: 'application/zip' };
+    const mimeType = mimeTypes[extension] || 'application/json';
+
+    const formData = new FormData();
+    formData.append('avatar', new File([bytes], getBaseName(job.path), { type: mimeType }));
+    formData.append('file_type', extension);
+
+    const response = await fetch('/api/characters/import', {
+        method: 'POST',
+        headers: getUploadHeaders(),
+        body: formData,
+        cache: 'no-cache'
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.error || !data.file_name) {
+        throw new Error('SillyTavern rejected the character card');
+    }
+
+    return `${data.file_name}.png`;
+}
+
+/**
+ * Import a persona: upload its avatar and register name/description in power_user
+ * @param {Object} job - Import job
+ * @param {string|null} existing - Avatar of the persona to overwrite, or null to add a new one
+ * @returns {Promise<string>} Avatar filename of the imported persona
+ */
+async function importPersona(job, existing) {
+    const formData = new FormData();
+    formData.append('avatar', new File([await job.read()], getBaseName(job.path), { type: 'image/png' }));
+    if (existing) {
+        formData.append('overwrite_name', existing);
+    }
+
+    const response = await fetch('/api/avatars/upload', {
+        method: 'POST',
+        headers: getUploadHeaders(),
+        body: formData,
+        cache: 'no-cache'
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.path) {
+        throw new Error('Avatar upload returned no path');
+    }
+
+    const metadata = job.metadata || {};
+
+    // Single persona exports use description/title; bundle personas use content/title
+    power_user.personas[data.path] = metadata.name || job.name;
+    power_user.persona_descriptions[data.path] = {
+        ...(power_user.persona_descriptions[data.path] || {}),
+        description: metadata.content ?? metadata.description ?? '',
+        title: metadata.title || '',
+        position: power_user.persona_descriptions[data.path]?.position ?? 0
+    };
+    saveSettingsDebounced();
+
+    return data.path;
+}
+
+/**
+ * Import a chat completion preset and register it with ST's in-memory preset list
+ * @param {Object} job - Import job
+ * @param {string|null} existing - Name of the preset to overwrite, or null to pick a free name
+ * @returns {Promise<string>} Saved preset name
+ */
+async function importPreset(job, existing) {
+    const { openai_settings, openai_setting_names } = await import('../../../openai.js');
+
+    const preset = await readJobJson(job);
+    const baseName = preset.name || job.name;
+    delete preset.name;
+
+    let name = existing || baseName;
+    let suffix = 2;
+    while (!existing && openai_setting_names && openai_setting_names[name] !== undefined) {
+        name = `${baseName} (${suffix++})`;
+    }
+
+    const response = await fetch('/api/presets/save', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ apiId: 'openai', name, preset })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const savedName = data.name || name;
+
+    // Same bookkeeping openai.js does after saving a preset, so it shows up without a reload
+    if (openai_setting_names[savedName] !== undefined) {
+        openai_settings[openai_setting_names[savedName]] = preset;
+    } else {
+        openai_setting_names[savedName] = openai_settings.length;
+        openai_settings.push(preset);
+        const option = document.createElement('option');
+        option.value = String(openai_setting_names[savedName]);
+        option.textContent = savedName;
+        $('#settings_preset_openai').append(option);
+    }
+
+    return savedName;
+}
+
+/**
+ * Import a lorebook
+ * @param {Object} job - Import job
+ * @param {string|null} existing - Name of the lorebook to overwrite, or null to pick a free name
+ * @returns {Promise<string>} Saved lorebook name
+ */
+async function importLorebook(job, existing) {
+    const { saveWorldInfo, updateWorldInfoList, world_names } = await import('../../../world-info.js');
+
+    let name = existing || job.name;
+    let suffix = 2;
+    while (!existing && Array.isArray(world_names) && world_names.includes(name)) {
+        name = `${job.name} (${suffix++})`;
+    }
+
+    await saveWorldInfo(name, await readJobJson(job), true);
+    await updateWorldInfoList();
+
+    return name;
+}
+
+/**
+ * Find the avatar of the character a chat belongs to
+ * @param {Object} job - Chat import job
+ * @param {Map<string, string>} importedCharacters - Character name -> avatar for characters imported or matched this run
+ * @returns {{characterName: string, avatar: string}}
+ */
+function resolveChatCharacter(job, importedCharacters) {
+    const characterName = job.json?.character_name;
+
+    // ST writes 'unused' as the character name in group chat headers
+    if (characterName === 'unused') {
+        throw new Error('Group chat restore is not supported');
+    }
+    if (!characterName) {
+        throw new Error('Chat header has no character_name');
+    }
+
+    // Prefer the character that came in (or matched) the same import, then an existing one with that name
+    const avatar = importedCharacters.get(characterName)
+        || characters.find(c => c.name === characterName)?.avatar;
+
+    if (!avatar) {
+        throw new Error(`Character "${characterName}" not found`);
+    }
+
+    return { characterName, avatar };
+}
+
+/**
+ * Check whether a character already has this chat
+ * ST renames imported chats, so chats match on message count and last message rather than file name
+ * @param {Uint8Array} bytes - Chat JSONL
+ * @param {string} avatar - Character avatar filename
+ * @param {Array<Object>} existingChats - Chats from getChatList()
+ * @returns {Object|undefined} The matching chat
+ */
+function findExistingChat(bytes, avatar, existingChats) {
+    const lines = new TextDecoder().decode(bytes).split('\n').filter(line => line.trim());
+    if (lines.length < 2) {
+        return undefined;
+    }
+
+    let lastMessage;
+    try {
+        lastMessage = JSON.parse(lines[lines.length - 1]).mes;
+    } catch {
+        return undefined;
+    }
+
+    return existingChats.find(chat => chat.avatar === avatar
+        && chat.messageCount === lines.length - 1
+        && chat.lastMessage === lastMessage);
+}
+
+/**
+ * Import a chat JSONL and attach it to its character
+ * @param {Object} job - Import job
+ * @param {Uint8Array} bytes - Chat JSONL
+ * @param {{characterName: string, avatar: string}} owner - Character from resolveChatCharacter()
+ * @returns {Promise<string>} Character name the chat was attached to
+ */
+async function importChat(job, bytes, { characterName, avatar }) {
+    const formData = new FormData();
+    formData.append('avatar', new File([bytes], getBaseName(job.path), { type: 'application/jsonl' }));
+    formData.append('file_type', 'jsonl');
+    formData.append('avatar_url', avatar);
+    formData.append('character_name', characterName);
+    formData.append('user_name', job.json.user_name || 'User');
+
+    const response = await fetch('/api/chats/import', {
+        method: 'POST',
+        headers: getUploadHeaders(),
+        body: formData,
+        cache: 'no-cache'
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+        throw new Error('SillyTavern rejected the chat file');
+    }
+
+    return characterName;
+}
+
+/**
+ * Import files exported by RoleOut or RoleCall (ZIP bundles, PNG cards, JSON, JSONL)
+ * @param {File[]} files - Files chosen by the user
+ * @param {Object} [options]
+ * @param {'skip'|'overwrite'} [options.onExisting='skip'] - What to do with characters, personas, presets and lorebooks already in SillyTavern
+ * @returns {Promise<Array<{path: string, type: string, name?: string, status: string, message?: string}>>} Per-file results
+ */
+export async function importFiles(files, { onExisting = 'skip' } = {}) {
+    let progressToast = null;
+    const results = [];
+
+    try {
+        console.log(`[${MODULE_NAME}] Importing ${files.length} file(s)`);
+
+        progressToast = toastr.info('Reading files...', 'RoleOut', { timeOut: 0, extendedTimeOut: 0 });
+
+        const jobs = await collectImportJobs(files);
+        const importedCharacters = new Map();
+        let charactersChanged = false;
+        let existingChats = null;
+
+        for (const job of jobs.filter(j => j.type === 'skipped')) {
+            results.push({ path: job.path, type: 'unknown', status: 'skipped', message: job.reason });
+        }
+
+        for (const type of IMPORT_ORDER) {
+            const typeJobs = jobs.filter(j => j.type === type);
+
+            if (type === 'chat' && typeJobs.length > 0) {
+                if (charactersChanged) {
+                    // Make sure ST's character list includes the characters we just imported
+                    await getCharacters();
+                }
+                existingChats = await getChatList();
+            }
+
+            for (const job of typeJobs) {
+                try {
+                    let message;
+
+                    if (type === 'chat') {
+                        const owner = resolveChatCharacter(job, importedCharacters);
+                        const bytes = await job.read();
+
+                        if (findExistingChat(bytes, owner.avatar, existingChats)) {
+                            results.push({ path: job.path, type, name: job.name, status: 'skipped', message: `${owner.characterName} already has this chat` });
+                            continue;
+                        }
+
+                        message = `Attached to ${await importChat(job, bytes, owner)}`;
+                        results.push({ path: job.path, type, name: job.name, status: 'imported', message });
+                        console.log(`[${MODULE_NAME}] ✓ Imported ${type}: ${job.name}`);
+                        continue;
+                    }
+
+                    const existing = await findExistingItem(job);
+
+                    if (existing && onExisting !== 'overwrite') {
+                        // Chats later in the run still attach to the character that is already there
+                        if (type === 'character') {
+                            importedCharacters.set(job.name, existing);
+                        }
+                        results.push({ path: job.path, type, name: job.name, status: 'skipped', message: `Already in SillyTavern as ${existing}` });
+                        continue;
+                    }
+
+                    switch (type) {
+                        case 'character': {
+                            const avatar = await importCharacter(job, existing);
+                            importedCharacters.set(job.name, avatar);
+                            charactersChanged = true;
+                            message = avatar;
+                            break;
+                        }
+                        case 'persona':
+                            message = await importPersona(job, existing);
+                            break;
+                        case 'preset':
+                            message = await importPreset(job, existing);
+                            break;
+                        case 'lorebook':
+                            message = await importLorebook(job, existing);
+                            break;
+                    }
+
+                    if (existing) {
+                        message = `Overwrote ${message}`;
+                    }
+
+                    results.push({ path: job.path, type, name: job.name, status: 'imported', message });
+                    console.log(`[${MODULE_NAME}] ✓ Imported ${type}: ${job.name}`);
+                } catch (error) {
+                    results.push({ path: job.path, type, name: job.name, status: 'failed', message: error.message });
+                    console.warn(`[${MODULE_NAME}] Failed to import ${type} ${job.path}:`, error);
+                }
+            }
+        }
+
+        if (charactersChanged) {
+            await getCharacters();
+        }
+
+        const imported = results.filter(r => r.status === 'imported').length;
+        const failed = results.filter(r => r.status === 'failed').length;
+        const existingSkipped = results.filter(r => r.status === 'skipped' && r.type !== 'unknown').length;
+
+        if (imported === 0 && failed === 0 && existingSkipped === 0) {
+            toastr.warning('Nothing importable found in the selected files', 'RoleOut');
+        } else {
+            let message = `Imported ${imported} item${imported !== 1 ? 's' : ''}`;
+            if (existingSkipped > 0) {
+                message += `, skipped ${existingSkipped} already in SillyTavern`;
+            }
+            if (failed > 0) {
+                message += ` (${failed} failed)`;
+            }
+            toastr.success(message, 'RoleOut', { timeOut: 5000 });
+        }
+
+        return results;
+
+    } catch (error) {
+        console.error(`[${MODULE_NAME}] Import failed:`, error);
+        toastr.error(`Import failed: ${error.message}`, 'RoleOut');
+        return results;
+    } finally {
+        if (progressToast) {
+            toastr.clear(progressToast);
+        }
+    }
+}
@@ -1,10 +1,11 @@
 /**
  * PNG Metadata Embedding Utility
  * Based on VectHare's PNG export implementation
- * Embeds JSON metadata into PNG files using tEXt chunks
+ * Embeds JSON metadata into PNG files using tEXt, iTXt or zTXt chunks
  */
 
 const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const TEXT_CHUNK_TYPES = ['tEXt', 'iTXt', 'zTXt'];
 
 // CRC32 calculation for PNG chunks
 let crcTable = null;
@@ -61,37 +62,114 @@ function createChunk(type, data) {
 }
 
 /**
- * Parses PNG chunks from binary data
+ * Walks the chunk list, recording every structural problem instead of stopping at the first
  * @param {Uint8Array} pngData - PNG file data
- * @returns {Array<{type: string, data: Uint8Array, offset: number}>} Array of chunks
+ * @param {boolean} checkCRC - Verify each chunk's CRC (costs a pass over the data)
+ * @returns {{chunks: Array<{type: string, data: Uint8Array, offset: number}>, errors: string[], warnings: string[]}}
  */
-function parseChunks(pngData) {
+function scanChunks(pngData, checkCRC) {
+    const chunks = [];
+    const errors = [];
+    const warnings = [];
+
     // Verify PNG signature
-    for (let i = 0; i < 8; i++) {
-        if (pngData[i] !== PNG_SIGNATURE[i]) {
-            throw new Error('Invalid PNG signature');
-        }
+    if (pngData.length < 8 || PNG_SIGNATURE.some((byte, i) => pngData[i] !== byte)) {
+        errors.push('Invalid PNG signature');
+        return { chunks, errors, warnings };
     }
 
-    const chunks = [];
     let offset = 8; // Skip signature
+    let sawIEND = false;
 
     while (offset < pngData.length) {
+        if (offset + 8 > pngData.length) {
+            errors.push(`Truncated chunk header at offset ${offset}`);
+            break;
+        }
+
         const view = new DataView(pngData.buffer, pngData.byteOffset + offset);
         const length = view.getUint32(0, false);
-        const type = new TextDecoder().decode(pngData.slice(offset + 4, offset + 8));
-        const data = pngData.slice(offset + 8, offset + 8 + length);
+        const typeBytes = pngData.slice(offset + 4, offset + 8);
+        const type = new TextDecoder('latin1').decode(typeBytes);
+
+        if (!/^[A-Za-z]{4}$/.test(type)) {
+            errors.push(`Corrupt chunk at offset ${offset}: invalid type ${JSON.stringify(type)}`);
+            break;
+        }
 
+        const remaining = pngData.length - offset - 12;
+        if (length > remaining) {
+            errors.push(`Truncated ${type} chunk at offset ${offset}: declares ${length} bytes, ${Math.max(0, remaining)} available`);
+            break;
+        }
+
+        const data = pngData.slice(offset + 8, offset + 8 + length);
         chunks.push({ type, data, offset });
 
+        if (checkCRC) {
+            const storedCRC = view.getUint32(8 + length, false);
+            const crcData = new Uint8Array(4 + length);
+            crcData.set(typeBytes, 0);
+            crcData.set(data, 4);
+            if (crc32(crcData) !== storedCRC) {
+                errors.push(`Bad CRC in ${type} chunk at offset ${offset}`);
+            }
+        }
+
         offset += 4 + 4 + length + 4; // length + type + data + crc
 
-        if (type === 'IEND') break;
+        if (type === 'IEND') {
+            sawIEND = true;
+            break;
+        }
+    }
+
+    if (chunks.length > 0 && chunks[0].type !== 'IHDR') {
+        errors.push(chunks.some(c => c.type === 'IHDR') ? 'IHDR is not the first chunk' : 'Missing IHDR chunk');
+    } else if (chunks.length === 0 && errors.length === 0) {
+        errors.push('Missing IHDR chunk');
+    }
+
+    if (!sawIEND) {
+        errors.push('Missing IEND chunk');
+    } else if (offset < pngData.length) {
+        warnings.push(`${pngData.length - offset} bytes of trailing data after IEND`);
+    }
+
+    return { chunks, errors, warnings };
+}
+
+/**
+ * Parses PNG chunks from binary data
+ * Lenient by default: stops quietly at truncated data, like most PNG readers
+ * @param {Uint8Array} pngData - PNG file data
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Throw on any structural problem or bad CRC
+ * @returns {Array<{type: string, data: Uint8Array, offset: number}>} Array of chunks
+ */
+function parseChunks(pngData, options = {}) {
+    const { chunks, errors } = scanChunks(pngData, Boolean(options.strict));
+
+    if (errors[0] === 'Invalid PNG signature') {
+        throw new Error('Invalid PNG signature');
+    }
+    if (options.strict && errors.length > 0) {
+        throw new Error(`Corrupt PNG: ${errors.join('; ')}`);
     }
 
     return chunks;
 }
 
+/**
+ * Strictly validates a PNG: signature, chunk bounds, chunk CRCs, IHDR first and IEND present
+ * @param {Uint8Array} pngData - PNG file data
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validatePNG(pngData) {
+    const { errors, warnings } = scanChunks(pngData, true);
+    return { valid: errors.length === 0, errors, warnings };
+}
+
 /**
  * Reconstructs PNG from chunks, inserting a new chunk before IEND
  * @param {Uint8Array} originalPng - Original PNG data
@@ -121,110 +199,296 @@ function insertChunkBeforeIEND(originalPng, newChunk) {
 }
 
 /**
- * Creates a tEXt chunk with JSON data
- * @param {string} keyword - Chunk keyword (e.g., 'chara', 'persona')
- * @param {string} jsonString - JSON string to embed
- * @returns {Uint8Array} tEXt chunk
+ * Reads the keyword of a tEXt, iTXt or zTXt chunk (all start with keyword + null)
+ * @param {object} chunk - Parsed chunk {type, data}
+ * @returns {string|null} Keyword, or null for non-text chunks
  */
-function createTextChunk(keyword, jsonString) {
-    const keywordBytes = new TextEncoder().encode(keyword);
-    const textBytes = new TextEncoder().encode(jsonString);
+function readChunkKeyword(chunk) {
+    if (!TEXT_CHUNK_TYPES.includes(chunk.type)) {
+        return null;
+    }
 
-    // tEXt format: keyword + null + text
-    const data = new Uint8Array(keywordBytes.length + 1 + textBytes.length);
-    data.set(keywordBytes, 0);
-    data[keywordBytes.length] = 0; // Null separator
-    data.set(textBytes, keywordBytes.length + 1);
+    const nullIndex = chunk.data.indexOf(0);
+    if (nullIndex === -1) return null;
 
-    return createChunk('tEXt', data);
+    return new TextDecoder('latin1').decode(chunk.data.slice(0, nullIndex));
 }
 
 /**
- * Embeds JSON metadata into a PNG image
- * @param {Uint8Array} pngData - Original PNG data
- * @param {string} keyword - Metadata keyword (e.g., 'chara', 'persona')
- * @param {object} jsonData - Data to embed
- * @returns {Uint8Array} PNG with embedded metadata
+ * Rebuilds a PNG keeping only the chunks that pass a filter
+ * @param {Uint8Array} pngData - PNG file data
+ * @param {function(object): boolean} keep - Called with each parsed chunk
+ * @returns {Uint8Array} New PNG
  */
-export function embedMetadataInPNG(pngData, keyword, jsonData) {
-    const jsonString = JSON.stringify(jsonData);
+function filterChunks(pngData, keep) {
+    const kept = parseChunks(pngData)
+        .filter(keep)
+        .map(chunk => pngData.slice(chunk.offset, chunk.offset + 12 + chunk.data.length));
+
+    const result = new Uint8Array(PNG_SIGNATURE.length + kept.reduce((sum, raw) => sum + raw.length, 0));
+    result.set(PNG_SIGNATURE, 0);
+
+    let offset = PNG_SIGNATURE.length;
+    for (const raw of kept) {
+        result.set(raw, offset);
+        offset += raw.length;
+    }
 
-    // Base64 encode the JSON for RoleCall compatibility
-    // Use proper UTF-8 encoding before base64 to handle Unicode characters
-    const utf8Bytes = new TextEncoder().encode(jsonString);
-    const base64Json = btoa(String.fromCharCode(...utf8Bytes));
+    return result;
+}
+
+/**
+ * Removes every text chunk (tEXt, iTXt, zTXt) with the given keyword
+ * @param {Uint8Array} pngData - PNG file data
+ * @param {string} keyword - Metadata keyword (e.g., 'chara', 'ccv3')
+ * @returns {Uint8Array} PNG without those chunks (unchanged copy if there were none)
+ */
+export function removeMetadataFromPNG(pngData, keyword) {
+    return filterChunks(pngData, chunk => readChunkKeyword(chunk) !== keyword);
+}
 
-    const textChunk = createTextChunk(keyword, base64Json);
-    const result = insertChunkBeforeIEND(pngData, textChunk);
+/**
+ * Runs bytes through a CompressionStream or DecompressionStream
+ * PNG uses zlib-wrapped deflate, which is the 'deflate' format of the Streams API
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} stream - Transform stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
 
-    console.log(`[RoleOut PNG] Embedded ${jsonString.length} bytes (${base64Json.length} base64) as '${keyword}' chunk`);
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>} zlib-compressed bytes
+ */
+function deflate(bytes) {
+    return transformBytes(bytes, new CompressionStream('deflate'));
+}
 
-    return result;
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>} Inflated bytes
+ */
+function inflate(bytes) {
+    return transformBytes(bytes, new DecompressionStream('deflate'));
 }
 
 /**
- * Reads a tEXt chunk from PNG
+ * Decodes the text of a tEXt, zTXt or iTXt chunk
  * @param {object} chunk - Parsed chunk {type, data}
- * @param {string} keyword - Expected keyword
- * @returns {{keyword: string, text: string} | null}
+ * @returns {Promise<{keyword: string, text: string, compressed: boolean}|null>}
  */
-function readTextChunk(chunk, keyword) {
-    if (chunk.type !== 'tEXt') {
-        return null;
+async function readChunkText(chunk) {
+    const keyword = readChunkKeyword(chunk);
+    if (keyword === null) return null;
+
+    const afterKeyword = chunk.data.indexOf(0) + 1;
+
+    if (chunk.type === 'tEXt') {
+        // Latin-1 by spec; RoleOut/ST only ever store ASCII (base64) here
+        return { keyword, text: new TextDecoder('latin1').decode(chunk.data.slice(afterKeyword)), compressed: false };
     }
 
-    // Find null separator
-    let nullIndex = -1;
-    for (let i = 0; i < chunk.data.length; i++) {
-        if (chunk.data[i] === 0) {
-            nullIndex = i;
-            break;
+    if (chunk.type === 'zTXt') {
+        // compression method byte, then deflated Latin-1 text
+        const inflated = await inflate(chunk.data.slice(afterKeyword + 1));
+        return { keyword, text: new TextDecoder('latin1').decode(inflated), compressed: true };
+    }
+
+    // iTXt: compression flag, method, language tag\0, translated keyword\0, UTF-8 text
+    const compressed = chunk.data[afterKeyword] === 1;
+    const languageEnd = chunk.data.indexOf(0, afterKeyword + 2);
+    const translatedEnd = languageEnd === -1 ? -1 : chunk.data.indexOf(0, languageEnd + 1);
+    if (translatedEnd === -1) return null;
+
+    let textBytes = chunk.data.slice(translatedEnd + 1);
+    if (compressed) {
+        textBytes = await inflate(textBytes);
+    }
+
+    return { keyword, text: new TextDecoder().decode(textBytes), compressed };
+}
+
+/**
+ * Lists every text chunk (tEXt, iTXt, zTXt) in a PNG
+ * @param {Uint8Array} pngData - PNG file data
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Throw if the PNG is corrupt (see validatePNG)
+ * @returns {Promise<Array<{type: string, keyword: string, text: string|null, compressed: boolean, size: number}>>}
+ * text is null when a chunk can't be decoded
+ */
+export async function listPNGMetadata(pngData, options = {}) {
+    const entries = [];
+
+    for (const chunk of parseChunks(pngData, options)) {
+        const keyword = readChunkKeyword(chunk);
+        if (keyword === null) continue;
+
+        let decoded = null;
+        try {
+            decoded = await readChunkText(chunk);
+        } catch (error) {
+            console.warn(`[RoleOut PNG] Could not decode ${chunk.type} '${keyword}':`, error);
         }
+
+        entries.push({
+            type: chunk.type,
+            keyword,
+            text: decoded?.text ?? null,
+            compressed: decoded?.compressed ?? chunk.type === 'zTXt',
+            size: chunk.data.length
+        });
     }
 
-    if (nullIndex === -1) return null;
+    return entries;
+}
+
+/**
+ * Joins keyword + null + remaining fields into chunk data
+ * @param {string} keyword - Chunk keyword
+ * @param {...Uint8Array} parts - Remaining fields, in order
+ * @returns {Uint8Array}
+ */
+function buildChunkData(keyword, ...parts) {
+    const keywordBytes = new TextEncoder().encode(keyword);
+    const data = new Uint8Array(keywordBytes.length + 1 + parts.reduce((sum, part) => sum + part.length, 0));
+    data.set(keywordBytes, 0);
+    data[keywordBytes.length] = 0; // Null separator
+
+    let offset = keywordBytes.length + 1;
+    for (const part of parts) {
+        data.set(part, offset);
+        offset += part.length;
+    }
+
+    return data;
+}
 
-    const chunkKeyword = new TextDecoder().decode(chunk.data.slice(0, nullIndex));
+/**
+ * Base64 of raw bytes, in slices so large cards don't overflow the call stack
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Embeds JSON metadata into a PNG image
+ * Any existing chunks with the same keyword are replaced, so readers never see two competing copies
+ * @param {Uint8Array} pngData - Original PNG data
+ * @param {string} keyword - Metadata keyword (e.g., 'chara', 'persona')
+ * @param {object} jsonData - Data to embed
+ * @param {object} [options] - Encoding options
+ * @param {string} [options.chunkType='tEXt'] - 'tEXt' (base64, what SillyTavern reads), 'iTXt' (raw UTF-8) or 'zTXt' (deflated base64)
+ * @param {number} [options.compressThreshold=Infinity] - iTXt only: deflate when the JSON is at least this many bytes (0 = always)
+ * @returns {Promise<Uint8Array>} PNG with embedded metadata
+ */
+export async function embedMetadataInPNG(pngData, keyword, jsonData, options = {}) {
+    const chunkType = options.chunkType || 'tEXt';
+    const compressThreshold = options.compressThreshold ?? Infinity;
+
+    const jsonString = JSON.stringify(jsonData);
+    const utf8Bytes = new TextEncoder().encode(jsonString);
+
+    let chunkData;
+    if (chunkType === 'iTXt') {
+        // No base64 needed: iTXt is UTF-8 by spec
+        const compress = utf8Bytes.length >= compressThreshold;
+        const textBytes = compress ? await deflate(utf8Bytes) : utf8Bytes;
+        // compression flag, method 0, empty language tag, empty translated keyword
+        chunkData = buildChunkData(keyword, new Uint8Array([compress ? 1 : 0, 0, 0, 0]), textBytes);
+    } else {
+        // Base64 encode the JSON for RoleCall compatibility (tEXt/zTXt are Latin-1)
+        // Use proper UTF-8 encoding before base64 to handle Unicode characters
+        const base64Bytes = new TextEncoder().encode(bytesToBase64(utf8Bytes));
+        chunkData = chunkType === 'zTXt'
+            ? buildChunkData(keyword, new Uint8Array([0]), await deflate(base64Bytes))
+            : buildChunkData(keyword, base64Bytes);
+    }
 
-    if (chunkKeyword !== keyword) return null;
+    const textChunk = createChunk(chunkType, chunkData);
+    const result = insertChunkBeforeIEND(removeMetadataFromPNG(pngData, keyword), textChunk);
 
-    const textData = chunk.data.slice(nullIndex + 1);
-    const text = new TextDecoder().decode(textData);
+    console.log(`[RoleOut PNG] Embedded ${utf8Bytes.length} bytes as '${keyword}' ${chunkType} chunk (${chunkData.length} bytes stored)`);
 
-    return { keyword: chunkKeyword, text };
+    return result;
+}
+
+/**
+ * Parses chunk text as JSON, accepting base64 (RoleOut/ST) or plain JSON (legacy, iTXt)
+ * @param {string} text - Chunk text
+ * @returns {object}
+ */
+function parseMetadataText(text) {
+    let jsonText = text;
+    try {
+        // Decode base64 and handle UTF-8 properly
+        const base64Decoded = atob(text);
+        const bytes = Uint8Array.from(base64Decoded, c => c.charCodeAt(0));
+        jsonText = new TextDecoder().decode(bytes);
+    } catch (e) {
+        // Not base64, use as-is
+    }
+    return JSON.parse(jsonText);
 }
 
 /**
  * Extracts metadata from a PNG image
+ * Reads tEXt, zTXt and iTXt chunks; the first chunk with the keyword wins
  * @param {Uint8Array} pngData - PNG file data
  * @param {string} keyword - Metadata keyword to look for
- * @returns {object|null} Extracted data or null if not found
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Throw if the PNG is corrupt (see validatePNG)
+ * @returns {Promise<object|null>} Extracted data or null if not found
  */
-export function extractMetadataFromPNG(pngData, keyword) {
-    const chunks = parseChunks(pngData);
+export async function extractMetadataFromPNG(pngData, keyword, options = {}) {
+    const chunks = parseChunks(pngData, options);
 
     // Look for keyword in text chunks
     for (const chunk of chunks) {
-        const result = readTextChunk(chunk, keyword);
-        if (result) {
-            try {
-                // Try base64 decoding first (new format)
-                let jsonText = result.text;
-                try {
-                    // Decode base64 and handle UTF-8 properly
-                    const base64Decoded = atob(result.text);
-                    const bytes = Uint8Array.from(base64Decoded, c => c.charCodeAt(0));
-                    jsonText = new TextDecoder().decode(bytes);
-                } catch (e) {
-                    // Not base64, use as-is (legacy format)
-                }
-                return JSON.parse(jsonText);
-            } catch (error) {
-                console.error(`[RoleOut PNG] Failed to parse '${keyword}' metadata:`, error);
-                return null;
+        if (readChunkKeyword(chunk) !== keyword) continue;
+
+        try {
+            const result = await readChunkText(chunk);
+            if (result) {
+                return parseMetadataText(result.text);
             }
+        } catch (error) {
+            console.error(`[RoleOut PNG] Failed to parse '${keyword}' metadata:`, error);
+            return null;
         }
     }
 
     return null;
 }
+
+/**
+ * Post-embed self-check: the PNG must validate strictly and give back exactly the data that was embedded
+ * @param {Uint8Array} pngData - PNG returned by embedMetadataInPNG
+ * @param {string} keyword - Keyword that was embedded
+ * @param {object} jsonData - Data that was embedded
+ * @returns {Promise<void>} Rejects describing the first problem found
+ */
+export async function verifyEmbeddedMetadata(pngData, keyword, jsonData) {
+    const { valid, errors } = validatePNG(pngData);
+    if (!valid) {
+        throw new Error(`Corrupt PNG after embedding '${keyword}': ${errors.join('; ')}`);
+    }
+
+    const extracted = await extractMetadataFromPNG(pngData, keyword);
+    if (!extracted) {
+        throw new Error(`'${keyword}' metadata missing after embedding`);
+    }
+
+    // Same serialization as embedMetadataInPNG, so key order matches
+    if (JSON.stringify(extracted) !== JSON.stringify(jsonData)) {
+        throw new Error(`'${keyword}' metadata does not match what was embedded`);
+    }
+}
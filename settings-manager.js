@@ -7,8 +7,21 @@ import { extension_settings } from '../../../extensions.js';
 
 const extensionName = 'RoleOut';
 
-// Default settings (empty - all options are now per-item)
-const defaultSettings = {};
+// Default settings (export content options are per-item; these cover file encoding)
+const defaultSettings = {
+    pngChunkType: 'tEXt', // 'tEXt' | 'iTXt' | 'zTXt'
+    pngCompressThresholdKb: 64, // iTXt payloads at least this big are deflated
+    avatarMaxDimension: 0, // Downscale avatars whose longest side exceeds this (0 = keep size)
+    zipVolumeSizeMb: 0, // Split ZIPs bigger than this into volumes (0 = one ZIP)
+    fetchRetries: 2, // Extra attempts for failed requests to ST (network errors, timeouts, 429, 5xx)
+    fetchTimeoutSec: 60, // Abort a request to ST after this long (0 = no timeout)
+    // Redaction profile, applied to chats exported with "Redact" checked
+    redactNames: true, // User and persona names -> {{user}}
+    redactReasoning: true, // Reasoning blocks
+    redactMetadata: true, // Generation timings, API, model, token counts
+    redactImages: true, // Attached/inline images and files
+    redactionRules: '' // Custom regex rules, one "pattern => replacement" per line
+};
 
 /**
  * Initialize extension settings
@@ -27,10 +40,31 @@ export function initializeSettings() {
     console.log('[RoleOut] Settings initialized:', extension_settings[extensionName]);
 }
 
+/**
+ * Get the current extension settings
+ * @returns {Object} Settings merged with defaults
+ */
+export function getSettings() {
+    return { ...defaultSettings, ...extension_settings[extensionName] };
+}
+
 /**
  * Load settings into UI
  */
 export function loadSettings() {
-    // No global settings to load - all options are now per-item
-    console.log('[RoleOut] Settings initialized (no global options)');
+    const settings = getSettings();
+
+    $('#rolecall-png-chunk-type').val(settings.pngChunkType);
+    $('#rolecall-png-compress-threshold').val(settings.pngCompressThresholdKb);
+    $('#rolecall-avatar-max-dimension').val(settings.avatarMaxDimension);
+    $('#rolecall-zip-volume-size').val(settings.zipVolumeSizeMb);
+    $('#rolecall-fetch-retries').val(settings.fetchRetries);
+    $('#rolecall-fetch-timeout').val(settings.fetchTimeoutSec);
+    $('#rolecall-redact-names').prop('checked', settings.redactNames);
+    $('#rolecall-redact-reasoning').prop('checked', settings.redactReasoning);
+    $('#rolecall-redact-metadata').prop('checked', settings.redactMetadata);
+    $('#rolecall-redact-images').prop('checked', settings.redactImages);
+    $('#rolecall-redaction-rules').val(settings.redactionRules);
+
+    console.log('[RoleOut] Settings loaded into UI');
 }
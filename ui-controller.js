@@ -4,6 +4,47 @@
  */
 
 import { getCharacterList, getChatList, getPresetList, getLorebookList, getPersonaList, getCounts } from './data-providers.js';
+import { countItemStates } from './export-progress.js';
+import { buildChatTrees, flattenChatTree } from './chat-tree.js';
+
+// Character file formats (JSON-only when the character has no avatar)
+const CHARACTER_FORMAT_CHOICES = [
+    { value: 'png', label: 'PNG (card embedded in avatar)' },
+    { value: 'json', label: 'JSON (card only)' },
+    { value: 'charx', label: 'CHARX (V3 card + avatar, sprites and images)' }
+];
+
+// Chat file formats (converted client-side from ST's JSONL, see chat-converter.js)
+const CHAT_FORMAT_CHOICES = [
+    { value: 'jsonl', label: 'SillyTavern JSONL (re-importable)' },
+    { value: 'rolecall', label: 'RoleCall JSON (message array)' },
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'html', label: 'HTML transcript (avatars included)' },
+    { value: 'text', label: 'Plain text' }
+];
+
+// Swipe policies (see applySwipePolicy in chat-converter.js)
+const SWIPE_POLICY_CHOICES = [
+    { value: 'all', label: 'Keep all swipes' },
+    { value: 'selected', label: 'Selected swipe only' },
+    { value: 'sidecar', label: 'Selected swipe + alternates in a separate file' }
+];
+
+// Message ranges (see applyMessageRange in chat-converter.js)
+const RANGE_CHOICES = [
+    { value: 'all', label: 'Whole chat' },
+    { value: 'messages', label: 'Messages #N to #M' },
+    { value: 'date', label: 'Messages from a date on' },
+    { value: 'bookmark', label: 'From a checkpoint to the end' },
+    { value: 'tail', label: 'First message + last N' }
+];
+
+// PNG card chunks: 'chara' (V2), 'ccv3' (V3) or both
+const CARD_SPEC_CHOICES = [
+    { value: 'both', label: 'V2 + V3 (most compatible)' },
+    { value: 'v2', label: 'V2 only (chara)' },
+    { value: 'v3', label: 'V3 only (ccv3)' }
+];
 
 /**
  * Update status panel counts
@@ -49,6 +90,13 @@ export async function populateItemList(type) {
 
     listContainer.empty();
 
+    // The flat list replaces any branch tree view, including one still loading
+    if (type === 'chats') {
+        treeViewController?.abort();
+        listContainer.removeClass('tree-view-mode');
+        $('#rolecall-tree-view-chats').removeClass('active');
+    }
+
     try {
         let items = [];
 
@@ -243,7 +291,7 @@ function createItemOptionsPanel(type, item) {
         case 'characters':
             // Only show checkboxes for features that actually exist
             if (item.hasAvatar) {
-                optionsGroup.append(createOptionCheckbox(`char_avatar_${item.id}`, 'Include Avatar', true));
+                optionsGroup.append(createOptionSelect(`char_format_${item.id}`, 'Format', CHARACTER_FORMAT_CHOICES, 'png'));
             }
             if (item.hasAltGreetings) {
                 optionsGroup.append(createOptionCheckbox(`char_greetings_${item.id}`, 'Alternate Greetings', true));
@@ -252,15 +300,29 @@ function createItemOptionsPanel(type, item) {
                 const lorebookLabel = `Attached Lorebook: ${item.lorebookName}`;
                 optionsGroup.append(createOptionCheckbox(`char_lorebook_${item.id}`, lorebookLabel, true));
             }
+            optionsGroup.append(createOptionSelect(`char_spec_${item.id}`, 'Card Format', CARD_SPEC_CHOICES, 'both'));
             break;
         case 'chats':
-            optionsGroup.append(createOptionCheckbox(`chat_character_${item.id}`, 'Include Character', true));
-            optionsGroup.append(createOptionCheckbox(`chat_bundle_${item.id}`, 'Export as Bundle (includes preset, persona, character, and all settings)', false));
+            optionsGroup.append(createOptionSelect(`chat_format_${item.id}`, 'Chat Format', CHAT_FORMAT_CHOICES, 'jsonl'));
+            optionsGroup.append(createOptionSelect(`chat_swipes_${item.id}`, 'Swipes', SWIPE_POLICY_CHOICES, 'all'));
+            optionsGroup.append(createRangeSelector(item.id));
+            optionsGroup.append(createOptionCheckbox(`chat_redact_${item.id}`, 'Redact (names, reasoning, generation details, images and custom rules per Export Settings)', false));
+            if (item.isGroup) {
+                optionsGroup.append(createOptionCheckbox(`chat_character_${item.id}`, 'Include All Member Characters', true));
+                optionsGroup.append(createOptionCheckbox(`chat_bundle_${item.id}`, 'Export as Bundle (includes group settings, members, preset, persona, and lorebooks)', false));
+            } else {
+                optionsGroup.append(createOptionCheckbox(`chat_character_${item.id}`, 'Include Character', true));
+                optionsGroup.append(createOptionCheckbox(`chat_bundle_${item.id}`, 'Export as Bundle (includes preset, persona, character, and all settings)', false));
+            }
 
             // Preset selector (shown only when bundle is checked)
             const presetSelector = createPresetDropdown(item.id);
             optionsGroup.append(presetSelector);
 
+            // Persona selector (shown only when bundle is checked)
+            const personaSelector = createPersonaDropdown(item.id);
+            optionsGroup.append(personaSelector);
+
             // Lorebook multi-select (shown only when bundle is checked)
             const lorebookSelector = createLorebookMultiSelect(item.id);
             optionsGroup.append(lorebookSelector);
@@ -281,6 +343,7 @@ function createItemOptionsPanel(type, item) {
                 const lorebookLabel = `Attached Lorebook: ${item.lorebookName}`;
                 optionsGroup.append(createOptionCheckbox(`persona_lorebook_${item.id}`, lorebookLabel, true));
             }
+            optionsGroup.append(createOptionSelect(`persona_spec_${item.id}`, 'Card Format', CARD_SPEC_CHOICES, 'both'));
             optionsGroup.append($('<div class="rolecall-no-options">Personas export as PNG with embedded metadata (like character cards)</div>'));
             break;
     }
@@ -314,6 +377,128 @@ function createOptionCheckbox(id, label, checked) {
     return checkboxWrapper;
 }
 
+/**
+ * Create a labeled dropdown option element
+ * @param {string} id - Select ID
+ * @param {string} label - Label text
+ * @param {Array<{value: string, label: string}>} choices - Options
+ * @param {string} selected - Default value
+ * @returns {jQuery} Dropdown element
+ */
+function createOptionSelect(id, label, choices, selected) {
+    const wrapper = $('<label class="rolecall-option-select-wrapper"></label>');
+    wrapper.append($('<span></span>').text(label));
+
+    const select = $('<select class="text_pole rolecall-option-select"></select>');
+    select.attr('id', id);
+    choices.forEach(choice => {
+        select.append($('<option></option>').val(choice.value).text(choice.label));
+    });
+    select.val(selected);
+
+    wrapper.append(select);
+    return wrapper;
+}
+
+/**
+ * Create the message range picker for a chat
+ * Only the fields of the chosen range mode are shown; the preview is filled in by renderRangePreview()
+ * @param {number} itemId - Chat item ID
+ * @returns {jQuery} Range picker element
+ */
+function createRangeSelector(itemId) {
+    const wrapper = $('<div class="rolecall-range-selector"></div>');
+    wrapper.attr('id', `range_selector_${itemId}`);
+    wrapper.attr('data-item-id', itemId);
+
+    wrapper.append(createOptionSelect(`chat_range_${itemId}`, 'Messages', RANGE_CHOICES, 'all'));
+
+    const numberInput = (id, placeholder, min) => $('<input type="number" class="text_pole">')
+        .attr({ id, placeholder, min, step: 1 });
+
+    const messagesFields = $('<div class="rolecall-range-fields" data-mode="messages"></div>');
+    messagesFields.append($('<span>From #</span>'), numberInput(`chat_range_from_${itemId}`, 'first', 0));
+    messagesFields.append($('<span>to #</span>'), numberInput(`chat_range_to_${itemId}`, 'last', 0));
+
+    const dateFields = $('<div class="rolecall-range-fields" data-mode="date"></div>');
+    dateFields.append($('<span>Sent on or after</span>'), $('<input type="datetime-local" class="text_pole">').attr('id', `chat_range_after_${itemId}`));
+
+    const bookmarkFields = $('<div class="rolecall-range-fields" data-mode="bookmark"></div>');
+    const bookmarkSelect = $('<select class="text_pole"></select>').attr('id', `chat_range_bookmark_${itemId}`);
+    bookmarkSelect.append($('<option value="">Loading checkpoints...</option>'));
+    bookmarkFields.append($('<span>Checkpoint</span>'), bookmarkSelect);
+
+    const tailFields = $('<div class="rolecall-range-fields" data-mode="tail"></div>');
+    tailFields.append($('<span>Last</span>'), numberInput(`chat_range_count_${itemId}`, '50', 1).val(50), $('<span>messages</span>'));
+
+    wrapper.append(messagesFields, dateFields, bookmarkFields, tailFields);
+    wrapper.find('.rolecall-range-fields').hide();
+
+    wrapper.append($('<div class="rolecall-range-preview"></div>').attr('id', `range_preview_${itemId}`));
+
+    return wrapper;
+}
+
+/**
+ * Show the fields of a chat's selected range mode
+ * @param {number} itemId - Chat item ID
+ * @param {string} mode - Range mode
+ */
+export function showRangeFields(itemId, mode) {
+    const wrapper = $(`#range_selector_${itemId}`);
+    wrapper.find('.rolecall-range-fields').each(function() {
+        $(this).toggle($(this).attr('data-mode') === mode);
+    });
+    wrapper.find('.rolecall-range-preview').toggle(mode !== 'all');
+}
+
+/**
+ * Fill a chat's checkpoint dropdown
+ * @param {number} itemId - Chat item ID
+ * @param {Array<{index: number, name: string, preview: string}>} bookmarks - From listChatBookmarks()
+ */
+export function populateChatBookmarks(itemId, bookmarks) {
+    const select = $(`#chat_range_bookmark_${itemId}`);
+    const previous = select.val();
+    select.empty();
+
+    if (bookmarks.length === 0) {
+        select.append($('<option value="">No checkpoints in this chat</option>'));
+        return;
+    }
+
+    bookmarks.forEach(bookmark => {
+        select.append($('<option></option>').val(bookmark.index).text(`#${bookmark.index} ${bookmark.name} - ${bookmark.preview}`));
+    });
+    if (previous) {
+        select.val(previous);
+    }
+}
+
+/**
+ * Show how many messages a chat's range covers
+ * @param {number} itemId - Chat item ID
+ * @param {Object|null} preview - From describeMessageRange(), or null while loading
+ */
+export function renderRangePreview(itemId, preview) {
+    const previewEl = $(`#range_preview_${itemId}`);
+    previewEl.removeClass('rolecall-range-empty');
+
+    if (!preview) {
+        previewEl.text('Counting messages...');
+        return;
+    }
+    if (preview.error || preview.count === 0) {
+        previewEl.addClass('rolecall-range-empty').text(preview.error || `No messages in this range (chat has ${preview.total})`);
+        return;
+    }
+
+    const dates = preview.firstDate && preview.lastDate
+        ? `, ${new Date(preview.firstDate).toLocaleDateString()} - ${new Date(preview.lastDate).toLocaleDateString()}`
+        : '';
+    previewEl.text(`Exports ${preview.count} of ${preview.total} messages (#${preview.first} - #${preview.last}${dates})`);
+}
+
 /**
  * Create preset dropdown for bundle export
  * @param {number} itemId - Chat item ID
@@ -352,6 +537,44 @@ function createPresetDropdown(itemId) {
     return dropdownWrapper;
 }
 
+/**
+ * Create persona dropdown for bundle export
+ * "Auto" is resolved at export time from the chat file, since that needs the chat contents
+ * @param {number} itemId - Chat item ID
+ * @returns {jQuery} Persona dropdown element
+ */
+function createPersonaDropdown(itemId) {
+    const personas = getPersonaList();
+
+    const dropdownWrapper = $('<div class="rolecall-persona-selector"></div>');
+    dropdownWrapper.attr('id', `persona_selector_${itemId}`);
+    dropdownWrapper.css({
+        'margin-left': '24px',
+        'margin-top': '8px',
+        'display': 'none' // Hidden by default, shown when bundle checkbox is checked
+    });
+
+    const label = $('<label style="display: block; margin-bottom: 4px; font-size: 0.9em;">Select Persona:</label>');
+    const select = $('<select class="text_pole"></select>');
+    select.attr('id', `chat_persona_${itemId}`);
+    select.css({
+        'width': '100%',
+        'padding': '6px'
+    });
+
+    // Default: persona locked to the chat, else the one in its messages, else the active one
+    select.append($('<option value="">Auto (persona used in this chat)</option>'));
+
+    personas.forEach(persona => {
+        select.append($('<option></option>').val(persona.avatar).text(persona.name));
+    });
+
+    dropdownWrapper.append(label);
+    dropdownWrapper.append(select);
+
+    return dropdownWrapper;
+}
+
 /**
  * Create lorebook multi-select (up to 10)
  * @param {number} itemId - Chat item ID
@@ -408,6 +631,7 @@ function createLorebookMultiSelect(itemId) {
 
         // Limit selection to 10
         checkbox.on('change', function() {
+            multiSelectWrapper.attr('data-initialized', 'true'); // User picks override auto-detection
             const checkedCount = multiSelectWrapper.find('input[type="checkbox"]:checked').length;
             if (checkedCount > maxSelection) {
                 $(this).prop('checked', false);
@@ -437,6 +661,181 @@ function createLorebookMultiSelect(itemId) {
     return multiSelectWrapper;
 }
 
+/**
+ * Pre-select auto-detected lorebooks in a chat's bundle options and label why each was picked
+ * Detected books move to the top of the list; only the first 10 are ticked
+ * @param {number} itemId - Chat item ID
+ * @param {Array<{name: string, reasons: string[]}>} detected - Result of detectChatLorebooks()
+ */
+export function applyLorebookDetection(itemId, detected) {
+    const maxSelection = 10;
+    const multiSelectWrapper = $(`#lorebook_selector_${itemId}`);
+    const checkboxList = multiSelectWrapper.find('.rolecall-lorebook-checkboxes');
+
+    // The user may have started picking while detection ran; their choices win
+    if (multiSelectWrapper.attr('data-initialized')) {
+        return;
+    }
+
+    multiSelectWrapper.attr('data-initialized', 'true');
+
+    let lastPlaced = null;
+    detected.forEach(({ name, reasons }, index) => {
+        const checkbox = checkboxList.find('input[type="checkbox"]').filter(function() {
+            return $(this).val() === name;
+        });
+        if (!checkbox.length) {
+            return;
+        }
+
+        const itemRow = checkbox.closest('.rolecall-lorebook-item');
+        const withinLimit = index < maxSelection;
+        checkbox.prop('checked', withinLimit);
+
+        const reasonLabel = $('<span class="rolecall-lorebook-reason"></span>');
+        reasonLabel.text(withinLimit ? reasons.join(', ') : `${reasons.join(', ')} (over the ${maxSelection}-book limit)`);
+        itemRow.append(reasonLabel);
+
+        if (lastPlaced) {
+            itemRow.insertAfter(lastPlaced);
+        } else {
+            checkboxList.prepend(itemRow);
+        }
+        lastPlaced = itemRow;
+    });
+
+    if (detected.length > maxSelection) {
+        toastr.warning(`${detected.length} lorebooks detected; only the first ${maxSelection} were selected`, 'RoleOut');
+    }
+}
+
+// Cancels the chat reads of a tree view that is still loading
+let treeViewController = null;
+
+/**
+ * Switch the chats list between the flat list and checkpoint/branch trees
+ * Building the trees reads every chat of characters with more than one chat, so it only happens on demand;
+ * toggling again while it loads cancels the reads and goes back to the flat list
+ * @returns {Promise<Array<Object>|null>} Trees now shown, or null for the flat list
+ */
+export async function toggleChatTreeView() {
+    const listContainer = $('#rolecall-list-chats');
+    let trees = null;
+
+    if (treeViewController) {
+        treeViewController.abort();
+        return null;
+    }
+
+    if (listContainer.hasClass('tree-view-mode')) {
+        await populateItemList('chats');
+    } else {
+        listContainer.addClass('tree-view-mode');
+        $('#rolecall-tree-view-chats').addClass('active');
+        listContainer.html('<div class="rolecall-empty-list">Reading chat branches...</div>');
+
+        const controller = new AbortController();
+        treeViewController = controller;
+        try {
+            trees = await buildChatTrees(await getChatList(), {
+                signal: controller.signal,
+                onProgress: (read, total) => listContainer.find('.rolecall-empty-list')
+                    .text(`Reading chat branches... ${read}/${total} chats (click Branch Tree again to cancel)`)
+            });
+            renderChatTrees(trees);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                console.log('[RoleOut] Chat tree view cancelled');
+                await populateItemList('chats');
+            } else {
+                console.error('[RoleOut] Error building chat trees:', error);
+                listContainer.html('<div class="rolecall-empty-list">Error loading chat branches</div>');
+            }
+        } finally {
+            treeViewController = null;
+        }
+    }
+
+    // Rows rendered into a list already in multi-select mode need their checkboxes shown
+    if (listContainer.hasClass('multi-select-mode')) {
+        listContainer.find('.rolecall-item-checkbox').css('display', 'flex');
+    }
+    $('#rolecall-search-chats').trigger('input');
+    updateExportSelectedButton('chats');
+
+    return trees;
+}
+
+/**
+ * Render chats as checkpoint/branch trees, one block per character or group
+ * Chat rows are the same as in the flat list, indented under the chat they came from
+ * @param {Array<Object>} trees - Trees from buildChatTrees()
+ */
+function renderChatTrees(trees) {
+    const listContainer = $('#rolecall-list-chats');
+    listContainer.empty();
+
+    if (trees.length === 0) {
+        listContainer.html('<div class="rolecall-empty-list">No items found</div>');
+        return;
+    }
+
+    trees.forEach((tree, index) => {
+        const block = $('<div class="rolecall-chat-tree"></div>');
+        const header = $('<div class="rolecall-chat-tree-header"></div>');
+
+        const title = $('<div class="rolecall-chat-tree-title"></div>');
+        title.text(tree.key ? tree.character : 'Chats without a character');
+        const stats = $('<span class="rolecall-chat-stat"></span>');
+        stats.text(`${tree.count} chat${tree.count !== 1 ? 's' : ''}${tree.branched > 0 ? `, ${tree.branched} branched` : ''}`);
+        title.append(stats);
+        header.append(title);
+
+        if (tree.key) {
+            const exportBtn = $('<button class="rolecall-export-tree-btn" title="Export every chat in this tree as one bundle. Each chat uses its own format, swipe, range, redaction, preset, persona and lorebook options; characters are always included"></button>');
+            exportBtn.attr('data-tree-index', index);
+            exportBtn.html('<i class="fa-solid fa-code-branch"></i> Export Tree');
+            header.append(exportBtn);
+        }
+        block.append(header);
+
+        for (const { node, depth } of flattenChatTree(tree)) {
+            const itemWrapper = createListItemElement('chats', node.chat);
+            itemWrapper.addClass('rolecall-tree-node');
+            itemWrapper.css('--rolecall-tree-depth', depth);
+
+            const label = describeTreeNode(node);
+            if (label) {
+                const labelEl = $('<span class="rolecall-chat-branch"></span>');
+                labelEl.text(label);
+                itemWrapper.find('.rolecall-chat-meta-row').append(labelEl);
+            }
+            block.append(itemWrapper);
+        }
+
+        listContainer.append(block);
+    });
+}
+
+/**
+ * @param {Object} node - Tree node from buildChatTrees()
+ * @returns {string|null} How the chat relates to its parent, if worth showing
+ */
+function describeTreeNode(node) {
+    if (node.error) {
+        return `Could not read: ${node.error}`;
+    }
+    if (node.missingParent) {
+        return `From deleted chat ${node.missingParent}`;
+    }
+    if (node.kind === 'root') {
+        return null;
+    }
+
+    const kind = node.kind === 'checkpoint' ? 'Checkpoint' : 'Branch';
+    return node.branchPoint !== null ? `${kind} at #${node.branchPoint}` : kind;
+}
+
 /**
  * Setup search filter for item list
  * @param {string} type - Content type
@@ -512,12 +911,15 @@ export async function toggleOptionsCard(type) {
 
     // If the clicked card wasn't visible, show it
     if (!isVisible) {
-        // Clear search input
-        $(`#rolecall-search-${type}`).val('');
-
-        // Populate list and setup search
-        await populateItemList(type);
-        setupSearchFilter(type);
+        // Import card has no item list to populate
+        if (type !== 'import') {
+            // Clear search input
+            $(`#rolecall-search-${type}`).val('');
+
+            // Populate list and setup search
+            await populateItemList(type);
+            setupSearchFilter(type);
+        }
 
         targetCard.slideDown(300);
     }
@@ -622,3 +1024,150 @@ export function updateExportSelectedButton(type) {
         btn.prop('disabled', true);
     }
 }
+
+/**
+ * Render per-file import results
+ * @param {Array<{path: string, type: string, name?: string, status: string, message?: string}>} results - Results from importFiles()
+ */
+export function renderImportResults(results) {
+    const container = $('#rolecall-import-results');
+    container.empty();
+
+    if (results.length === 0) {
+        container.html('<div class="rolecall-empty-list">No files imported</div>');
+        container.show();
+        return;
+    }
+
+    results.forEach(result => {
+        const row = $('<div class="rolecall-list-item rolecall-import-result"></div>');
+        row.addClass(`rolecall-import-${result.status}`);
+
+        const contentWrapper = $('<div class="rolecall-chat-content"></div>');
+
+        const nameEl = $('<div class="rolecall-item-name"></div>');
+        nameEl.text(result.name || result.path);
+        contentWrapper.append(nameEl);
+
+        const metaRow = $('<div class="rolecall-chat-meta-row"></div>');
+        metaRow.append($('<span class="rolecall-item-meta"></span>').text(result.type));
+        metaRow.append($('<span class="rolecall-chat-stat"></span>').text(result.status));
+        contentWrapper.append(metaRow);
+
+        if (result.message) {
+            contentWrapper.append($('<div class="rolecall-item-preview"></div>').text(result.message));
+        }
+
+        row.append(contentWrapper);
+        container.append(row);
+    });
+
+    container.show();
+}
+
+let progressRenderPending = null;
+
+// Progress rows of the run on screen, by item index, with the state they last showed
+let progressRows = { run: null, rows: [] };
+
+/**
+ * Render the batch export progress panel
+ * Updates arrive per item and per ZIP chunk, so rendering is batched to one per frame
+ * @param {Object} run - Export run from export-progress.js
+ * @param {boolean} isCurrent - Whether this is the run the panel follows
+ */
+export function renderExportProgress(run, isCurrent) {
+    if (!isCurrent) {
+        return;
+    }
+
+    progressRenderPending = run;
+    requestAnimationFrame(() => {
+        if (progressRenderPending !== run) {
+            return;
+        }
+        progressRenderPending = null;
+        drawExportProgress(run);
+    });
+}
+
+/**
+ * @param {Object} run - Export run from export-progress.js
+ */
+function drawExportProgress(run) {
+    const counts = countItemStates(run);
+    const total = run.items.length;
+    const finished = counts.zipped + counts.failed;
+    const active = run.phase === 'running' || run.phase === 'zipping';
+
+    const summaries = {
+        running: `Exporting ${finished}/${total}`,
+        zipping: `Creating ZIP file... ${Math.floor(run.zipPercent)}%`,
+        done: `Done: ${counts.zipped} exported${counts.failed > 0 ? `, ${counts.failed} failed` : ''}`,
+        cancelled: `Cancelled: ${counts.zipped} finished, ${counts.failed} not exported`,
+        error: `Export failed${counts.failed > 0 ? ` (${counts.failed} item${counts.failed > 1 ? 's' : ''} failed)` : ''}`
+    };
+    const percent = run.phase === 'zipping' ? run.zipPercent : (run.phase === 'done' ? 100 : (finished / total) * 100);
+
+    $('#rolecall-progress-title').text(`${run.title} export`);
+    $('#rolecall-progress-fill').css('width', `${percent}%`);
+    $('#rolecall-progress-summary').text(summaries[run.phase]);
+
+    drawProgressItems(run);
+
+    $('#rolecall-progress-cancel').toggle(active);
+    $('#rolecall-progress-retry').toggle(!active && counts.failed > 0 && Boolean(run.retry));
+    $('#rolecall-progress-close').toggle(!active);
+    $('#rolecall-progress-panel').show();
+}
+
+/**
+ * Update the per-item rows of the progress panel
+ * Rows are created once per run and only the ones whose state changed are touched, so long
+ * lists stay cheap to redraw and keep their scroll position
+ * @param {Object} run - Export run from export-progress.js
+ */
+function drawProgressItems(run) {
+    const list = $('#rolecall-progress-items');
+
+    if (progressRows.run !== run) {
+        list.empty();
+        const rows = run.items.map(entry => {
+            const row = $('<div class="rolecall-progress-item"></div>');
+            const stateEl = $('<span class="rolecall-progress-item-state"></span>');
+            row.append($('<span class="rolecall-progress-item-name"></span>').text(entry.label));
+            row.append(stateEl);
+            list.append(row);
+            return { row, stateEl, state: null, error: null };
+        });
+        progressRows = { run, rows };
+    }
+
+    run.items.forEach((entry, index) => {
+        const shown = progressRows.rows[index];
+        if (shown.state === entry.state && shown.error === entry.error) {
+            return;
+        }
+
+        if (shown.state) {
+            shown.row.removeClass(`rolecall-progress-${shown.state}`);
+        }
+        shown.row.addClass(`rolecall-progress-${entry.state}`);
+        shown.stateEl.text(entry.error ? `${entry.state}: ${entry.error}` : entry.state);
+        if (entry.error) {
+            shown.row.attr('title', entry.error);
+        } else {
+            shown.row.removeAttr('title');
+        }
+
+        shown.state = entry.state;
+        shown.error = entry.error;
+    });
+}
+
+/**
+ * Hide the batch export progress panel
+ */
+export function hideExportProgress() {
+    $('#rolecall-progress-panel').hide();
+}